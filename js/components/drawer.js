@@ -0,0 +1,180 @@
+/**
+ * Bold - Modal drawer controller used by the mobile menu
+ */
+
+import { lockScroll } from '../core/scroll-lock.js';
+
+const FOCUSABLE = 'a[href], button:not([disabled]), input:not([disabled]), select:not([disabled]), textarea:not([disabled]), [tabindex]:not([tabindex="-1"])';
+
+// Lets the slide-in transition start before focus moves into the panel
+const DRAWER_FOCUS_DELAY = 300;
+
+/**
+ * Modal drawer: while open, focus stays inside and the rest of the page is inert
+ *
+ * Markup contract:
+ * - a toggle button and the panel it opens, both inside `container`
+ * - every other child of <body> is made `inert` while the drawer is open
+ *
+ * Sets `.active` on the toggle and panel, `aria-expanded` on the toggle and
+ * `.menu-open` on <body>. Takes a shared scroll lock while open.
+ */
+export class Drawer {
+    /**
+     * @param {Object} options
+     * @param {HTMLElement} options.toggle - Button that opens and closes the drawer
+     * @param {HTMLElement} options.panel - The drawer itself
+     * @param {HTMLElement} [options.container] - Element kept interactive; defaults to the panel's parent
+     */
+    constructor({ toggle, panel, container = panel.parentElement }) {
+        this.toggleButton = toggle;
+        this.panel = panel;
+        this.container = container;
+        this.isOpen = false;
+        this.inerted = [];
+        this.releaseScroll = null;
+        this.focusTimer = null;
+        this.events = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.handleDocumentClick = this.handleDocumentClick.bind(this);
+    }
+
+    /**
+     * Open or close depending on the current state
+     */
+    toggle() {
+        if (this.isOpen) {
+            this.close();
+        } else {
+            this.open();
+        }
+    }
+
+    /**
+     * Open the drawer and move focus to its first control
+     */
+    open() {
+        if (this.isOpen) return;
+        this.isOpen = true;
+
+        this.toggleButton.classList.add('active');
+        this.panel.classList.add('active');
+        this.toggleButton.setAttribute('aria-expanded', 'true');
+        document.body.classList.add('menu-open');
+
+        this.releaseScroll = lockScroll();
+        this.setBackgroundInert(true);
+
+        this.events = new AbortController();
+        const { signal } = this.events;
+        document.addEventListener('keydown', this.handleKeydown, { signal });
+        document.addEventListener('click', this.handleDocumentClick, { signal });
+
+        const first = this.getFocusable()[1];
+        if (first) {
+            this.focusTimer = setTimeout(() => first.focus(), DRAWER_FOCUS_DELAY);
+        }
+    }
+
+    /**
+     * Close the drawer
+     * @param {Object} [options]
+     * @param {boolean} [options.restoreFocus] - Return focus to the toggle
+     */
+    close({ restoreFocus = false } = {}) {
+        if (!this.isOpen) return;
+        this.isOpen = false;
+
+        clearTimeout(this.focusTimer);
+        this.events.abort();
+        this.events = null;
+
+        this.toggleButton.classList.remove('active');
+        this.panel.classList.remove('active');
+        this.toggleButton.setAttribute('aria-expanded', 'false');
+        document.body.classList.remove('menu-open');
+
+        this.setBackgroundInert(false);
+        this.releaseScroll();
+        this.releaseScroll = null;
+
+        // Focus left inside the panel would be lost once it slides away
+        if (restoreFocus || this.panel.contains(document.activeElement)) {
+            this.toggleButton.focus();
+        }
+    }
+
+    /**
+     * Make everything outside the container inert, or undo it
+     * Elements that were already inert are left alone.
+     * @param {boolean} inert
+     */
+    setBackgroundInert(inert) {
+        if (!inert) {
+            this.inerted.forEach(el => el.removeAttribute('inert'));
+            this.inerted = [];
+            return;
+        }
+
+        Array.from(document.body.children).forEach(el => {
+            if (el.contains(this.container) || el.hasAttribute('inert') || el.tagName === 'SCRIPT') return;
+            el.setAttribute('inert', '');
+            this.inerted.push(el);
+        });
+    }
+
+    /**
+     * The toggle followed by the controls in the panel
+     * @returns {HTMLElement[]}
+     */
+    getFocusable() {
+        const controls = Array.from(this.panel.querySelectorAll(FOCUSABLE))
+            .filter(el => !el.closest('[hidden]'));
+        return [this.toggleButton, ...controls];
+    }
+
+    /**
+     * Escape closes; Tab/Shift+Tab cycle through the toggle and the panel
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close({ restoreFocus: true });
+            return;
+        }
+
+        if (e.key !== 'Tab') return;
+
+        const focusable = this.getFocusable();
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        const inside = focusable.includes(document.activeElement);
+
+        if (e.shiftKey && (document.activeElement === first || !inside)) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !inside)) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Close when clicking outside the toggle and the panel
+     * @param {MouseEvent} e
+     */
+    handleDocumentClick(e) {
+        if (!this.panel.contains(e.target) && !this.toggleButton.contains(e.target)) {
+            this.close();
+        }
+    }
+
+    /**
+     * Close and forget the elements this instance touched
+     */
+    destroy() {
+        this.close();
+    }
+}
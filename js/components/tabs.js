@@ -0,0 +1,213 @@
+/**
+ * Bold - Accessible tabs widget shared by the brand section
+ */
+
+/**
+ * Accessible tabs bound through data attributes
+ *
+ * Markup contract:
+ * - [data-tabs] on the root (optional data-tabs-activation="manual")
+ * - [data-tabs-list] on the tab list
+ * - [data-tab="id"] on each tab, controlling the panel with that id
+ * - [data-tab-panel="id"] on each panel
+ *
+ * Fires a bubbling `tabchange` CustomEvent on the root when the user
+ * changes the selected tab.
+ */
+export class Tabs {
+    /**
+     * @param {HTMLElement} root - Element with [data-tabs]
+     * @param {Object} [options]
+     * @param {string} [options.activation] - 'automatic' (select on focus) or 'manual' (select on Enter/Space)
+     */
+    constructor(root, options = {}) {
+        this.root = root;
+        this.activation = options.activation || root.dataset.tabsActivation || 'automatic';
+        this.tabList = this.query('[data-tabs-list]')[0] || root;
+        this.tabs = this.query('[data-tab]');
+        this.panels = this.query('[data-tab-panel]');
+        this.selected = null;
+
+        this.handleClick = this.handleClick.bind(this);
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.setupAria();
+
+        const initialTab = this.tabs.find(tab => tab.classList.contains('active')) || this.tabs[0];
+        if (initialTab) {
+            this.select(initialTab.dataset.tab, { silent: true });
+        }
+
+        this.tabList.addEventListener('click', this.handleClick);
+        this.tabList.addEventListener('keydown', this.handleKeydown);
+    }
+
+    /**
+     * Find elements belonging to this instance, skipping nested tab sets
+     * @param {string} selector
+     * @returns {HTMLElement[]}
+     */
+    query(selector) {
+        return Array.from(this.root.querySelectorAll(selector))
+            .filter(el => el.closest('[data-tabs]') === this.root);
+    }
+
+    /**
+     * Get the panel controlled by a tab id
+     * @param {string} id
+     * @returns {HTMLElement|undefined}
+     */
+    getPanel(id) {
+        return this.panels.find(panel => panel.dataset.tabPanel === id);
+    }
+
+    /**
+     * Get the tab for an id
+     * @param {string} id
+     * @returns {HTMLElement|undefined}
+     */
+    getTab(id) {
+        return this.tabs.find(tab => tab.dataset.tab === id);
+    }
+
+    /**
+     * Check whether a tab with this id exists
+     * @param {string} id
+     * @returns {boolean}
+     */
+    has(id) {
+        return Boolean(this.getTab(id) && this.getPanel(id));
+    }
+
+    /**
+     * Apply roles and relationships between tabs and panels
+     */
+    setupAria() {
+        this.tabList.setAttribute('role', 'tablist');
+
+        this.tabs.forEach(tab => {
+            const id = tab.dataset.tab;
+            const panel = this.getPanel(id);
+
+            if (!tab.id) {
+                tab.id = `${id}-tab`;
+            }
+            tab.setAttribute('role', 'tab');
+
+            if (panel) {
+                if (!panel.id) {
+                    panel.id = id;
+                }
+                tab.setAttribute('aria-controls', panel.id);
+                panel.setAttribute('role', 'tabpanel');
+                panel.setAttribute('aria-labelledby', tab.id);
+                panel.setAttribute('tabindex', '0');
+            }
+        });
+    }
+
+    /**
+     * Select a tab and show its panel
+     * @param {string} id - Tab id
+     * @param {Object} [options]
+     * @param {boolean} [options.silent] - Skip the tabchange event (programmatic restores)
+     * @returns {boolean} Whether the tab exists
+     */
+    select(id, { silent = false } = {}) {
+        if (!this.has(id)) return false;
+        if (id === this.selected) return true;
+
+        const previous = this.selected;
+        this.selected = id;
+
+        this.tabs.forEach(tab => {
+            const isSelected = tab.dataset.tab === id;
+            tab.classList.toggle('active', isSelected);
+            tab.setAttribute('aria-selected', String(isSelected));
+            tab.setAttribute('tabindex', isSelected ? '0' : '-1');
+        });
+
+        this.panels.forEach(panel => {
+            const isSelected = panel.dataset.tabPanel === id;
+            panel.classList.toggle('active', isSelected);
+            panel.hidden = !isSelected;
+        });
+
+        if (!silent) {
+            this.root.dispatchEvent(new CustomEvent('tabchange', {
+                bubbles: true,
+                detail: {
+                    id,
+                    previousId: previous,
+                    tab: this.getTab(id),
+                    panel: this.getPanel(id)
+                }
+            }));
+        }
+
+        return true;
+    }
+
+    /**
+     * Move focus to a tab (roving tabindex), selecting it in automatic mode
+     * @param {HTMLElement} tab
+     */
+    focusTab(tab) {
+        this.tabs.forEach(t => t.setAttribute('tabindex', t === tab ? '0' : '-1'));
+        tab.focus();
+
+        if (this.activation === 'automatic') {
+            this.select(tab.dataset.tab);
+        }
+    }
+
+    /**
+     * @param {MouseEvent} e
+     */
+    handleClick(e) {
+        const tab = e.target.closest('[data-tab]');
+        if (tab && this.tabs.includes(tab)) {
+            this.select(tab.dataset.tab);
+        }
+    }
+
+    /**
+     * Arrow/Home/End move between tabs; Enter/Space select in manual mode
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        const tab = e.target.closest('[data-tab]');
+        const index = this.tabs.indexOf(tab);
+        if (index === -1) return;
+
+        let targetIndex;
+
+        if (e.key === 'ArrowRight') {
+            targetIndex = (index + 1) % this.tabs.length;
+        } else if (e.key === 'ArrowLeft') {
+            targetIndex = (index - 1 + this.tabs.length) % this.tabs.length;
+        } else if (e.key === 'Home') {
+            targetIndex = 0;
+        } else if (e.key === 'End') {
+            targetIndex = this.tabs.length - 1;
+        } else if ((e.key === 'Enter' || e.key === ' ') && tab.tagName !== 'BUTTON') {
+            // Buttons already turn Enter/Space into a click
+            e.preventDefault();
+            this.select(tab.dataset.tab);
+            return;
+        } else {
+            return;
+        }
+
+        e.preventDefault();
+        this.focusTab(this.tabs[targetIndex]);
+    }
+
+    /**
+     * Remove event listeners
+     */
+    destroy() {
+        this.tabList.removeEventListener('click', this.handleClick);
+        this.tabList.removeEventListener('keydown', this.handleKeydown);
+    }
+}
@@ -0,0 +1,155 @@
+/**
+ * Bold - LGPD consent state: categories, storage and the resources it unlocks
+ */
+
+import { saveToStorage, getFromStorage } from './storage.js';
+
+// Bump when categories or their purposes change, so visitors are asked again
+const CONSENT_VERSION = 1;
+const CONSENT_STORAGE_KEY = 'consent';
+export const CONSENT_CATEGORIES = ['necessary', 'preferences', 'analytics', 'marketing'];
+
+// Category each storage key belongs to; unlisted keys count as preferences
+export const STORAGE_CATEGORIES = {
+    [CONSENT_STORAGE_KEY]: 'necessary',
+    language: 'preferences',
+    theme: 'preferences',
+    activeTab: 'preferences',
+    videoProgress: 'preferences',
+    leadDraft: 'preferences'
+};
+
+const consentState = {
+    record: null,
+    listeners: new Set()
+};
+
+/**
+ * Whether the visitor has granted a category
+ * Necessary is always granted; everything else needs an explicit opt-in
+ * @param {string} category - One of CONSENT_CATEGORIES
+ * @returns {boolean}
+ */
+export function hasConsent(category) {
+    if (category === 'necessary') return true;
+    return Boolean(consentState.record && consentState.record.categories[category]);
+}
+
+/**
+ * The stored decision, or null while the visitor has not decided
+ * @returns {{version: number, timestamp: string, categories: Object}|null}
+ */
+export function getConsent() {
+    if (!consentState.record) return null;
+    return { ...consentState.record, categories: { ...consentState.record.categories } };
+}
+
+/**
+ * Read a decision saved under the current version
+ * @returns {Object|null}
+ */
+function loadConsent() {
+    const record = getFromStorage(CONSENT_STORAGE_KEY);
+    if (!record || record.version !== CONSENT_VERSION || !record.categories) return null;
+    return record;
+}
+
+/**
+ * Remove stored values whose category is no longer granted
+ */
+function purgeStorage() {
+    Object.entries(STORAGE_CATEGORIES).forEach(([key, category]) => {
+        if (hasConsent(category)) return;
+        try {
+            localStorage.removeItem(key);
+        } catch (e) {
+            console.warn('localStorage not available:', e);
+        }
+    });
+}
+
+/**
+ * Attach third-party resources held back until their category is granted
+ * Markup: <link data-consent="preferences" data-href="..."> or <script data-consent="..." data-src="...">
+ */
+function activateConsentResources() {
+    document.querySelectorAll('[data-consent]').forEach(element => {
+        if (!hasConsent(element.dataset.consent)) return;
+        
+        if (element.dataset.href) {
+            element.href = element.dataset.href;
+            delete element.dataset.href;
+        } else if (element.dataset.src) {
+            element.src = element.dataset.src;
+            delete element.dataset.src;
+        }
+    });
+}
+
+/**
+ * Record the visitor's decision
+ * Fires `consentchange` on document and notifies subscribers
+ * @param {Object} categories - { preferences, analytics, marketing } booleans
+ */
+export function setConsent(categories) {
+    const record = {
+        version: CONSENT_VERSION,
+        timestamp: new Date().toISOString(),
+        categories: {}
+    };
+    
+    CONSENT_CATEGORIES.forEach(category => {
+        record.categories[category] = category === 'necessary' || Boolean(categories[category]);
+    });
+    
+    consentState.record = record;
+    saveToStorage(CONSENT_STORAGE_KEY, record);
+    
+    purgeStorage();
+    activateConsentResources();
+    
+    const consent = getConsent();
+    consentState.listeners.forEach(listener => {
+        try {
+            listener(consent);
+        } catch (e) {
+            console.warn('Consent listener failed:', e);
+        }
+    });
+    
+    document.dispatchEvent(new CustomEvent('consentchange', { detail: consent }));
+}
+
+/**
+ * Grant every category
+ */
+export function acceptAllConsent() {
+    setConsent(Object.fromEntries(CONSENT_CATEGORIES.map(category => [category, true])));
+}
+
+/**
+ * Keep only the necessary category
+ */
+export function rejectOptionalConsent() {
+    setConsent({});
+}
+
+/**
+ * Be notified whenever the decision changes
+ * @param {Function} listener - Called with the new decision
+ * @returns {Function} Unsubscribe
+ */
+export function subscribeConsent(listener) {
+    consentState.listeners.add(listener);
+    return () => consentState.listeners.delete(listener);
+}
+
+/**
+ * Load the saved decision and attach the resources it allows
+ * @returns {Object|null} The decision, or null while the visitor must still be asked
+ */
+export function restoreConsent() {
+    consentState.record = loadConsent();
+    activateConsentResources();
+    return getConsent();
+}
@@ -0,0 +1,50 @@
+/**
+ * Bold - Form helpers shared by the contact form and the lead wizard
+ */
+
+/**
+ * Create a submission adapter that posts JSON to an endpoint
+ * Adapters expose `submit(payload)` and return a Promise that rejects on failure
+ * @param {string} endpoint - URL receiving the POST
+ * @returns {{submit: Function}}
+ */
+export function createEndpointAdapter(endpoint) {
+    return {
+        async submit(payload) {
+            const response = await fetch(endpoint, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json',
+                    'Accept': 'application/json'
+                },
+                body: JSON.stringify(payload)
+            });
+            
+            if (!response.ok) {
+                throw new Error(`HTTP ${response.status}`);
+            }
+            
+            return response.json().catch(() => ({}));
+        }
+    };
+}
+
+/**
+ * Show or clear the inline error of a field (the element with id "<field id>-error")
+ * @param {HTMLElement} field - Form control, or the group wrapping radios/checkboxes
+ * @param {string} message - Error message, '' when valid
+ */
+export function setFieldError(field, message) {
+    const error = document.getElementById(`${field.id}-error`);
+    
+    if (message) {
+        field.setAttribute('aria-invalid', 'true');
+    } else {
+        field.removeAttribute('aria-invalid');
+    }
+    
+    if (error) {
+        error.textContent = message;
+        field.setAttribute('aria-describedby', error.id);
+    }
+}
@@ -0,0 +1,188 @@
+/**
+ * Bold - Translations, locale-aware formatting and language switching
+ */
+
+import { saveToStorage, getFromStorage } from './storage.js';
+
+const I18N_URL = 'data/i18n';
+export const DEFAULT_LANGUAGE = 'pt-BR';
+const SUPPORTED_LANGUAGES = ['pt-BR', 'en', 'es'];
+
+const i18nState = {
+    language: DEFAULT_LANGUAGE,
+    messages: {},
+    fallback: {}
+};
+
+const messagesCache = {};
+
+/**
+ * Load the translation dictionary for a language
+ * @param {string} language - One of SUPPORTED_LANGUAGES
+ * @returns {Promise<Object>} Flat map of key to message (empty if unavailable)
+ */
+async function loadMessages(language) {
+    if (!messagesCache[language]) {
+        messagesCache[language] = fetch(`${I18N_URL}/${language}.json`)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(e => {
+                console.warn(`Translations for ${language} not available:`, e);
+                delete messagesCache[language];
+                return {};
+            });
+    }
+    return messagesCache[language];
+}
+
+/**
+ * Get the active language, usable as a BCP 47 locale
+ * @returns {string}
+ */
+export function getLocale() {
+    return i18nState.language;
+}
+
+/**
+ * Look up a message in the active language, then in pt-BR
+ * @param {string} key
+ * @returns {string|undefined}
+ */
+function lookupMessage(key) {
+    return i18nState.messages[key] ?? i18nState.fallback[key];
+}
+
+/**
+ * Translate a key, interpolating {placeholders}
+ * When params.count is a number, "<key>.<plural form>" is tried first
+ * @param {string} key - Dictionary key
+ * @param {Object} [params] - Values for placeholders
+ * @returns {string} The message, or the key itself if missing
+ */
+export function t(key, params = {}) {
+    let message;
+    
+    if (typeof params.count === 'number') {
+        const form = new Intl.PluralRules(getLocale()).select(params.count);
+        message = lookupMessage(`${key}.${form}`) ?? lookupMessage(`${key}.other`);
+    }
+    
+    message = message ?? lookupMessage(key) ?? key;
+    
+    return message.replace(/\{(\w+)\}/g, (match, name) =>
+        params[name] !== undefined ? String(params[name]) : match
+    );
+}
+
+/**
+ * Pick the active language from a localized value such as
+ * { "pt-BR": "...", "en": "...", "es": "..." }; plain strings pass through
+ * @param {string|Object} value
+ * @returns {string}
+ */
+export function localize(value) {
+    if (!value || typeof value !== 'object') return value || '';
+    return value[getLocale()] ?? value[DEFAULT_LANGUAGE] ?? Object.values(value)[0] ?? '';
+}
+
+/**
+ * Format a number for the active language
+ * @param {number} value
+ * @param {Object} [options] - Intl.NumberFormat options
+ * @returns {string}
+ */
+export function formatNumber(value, options) {
+    return value.toLocaleString(getLocale(), options);
+}
+
+/**
+ * Apply translations to [data-i18n] and [data-i18n-attr] elements
+ * Elements whose key is missing keep their current content
+ * @param {ParentNode} root
+ */
+export function applyTranslations(root = document) {
+    root.querySelectorAll('[data-i18n]').forEach(el => {
+        const message = lookupMessage(el.dataset.i18n);
+        if (message !== undefined) {
+            el.textContent = message;
+        }
+    });
+    
+    // data-i18n-attr="aria-label:key;placeholder:other.key"
+    root.querySelectorAll('[data-i18n-attr]').forEach(el => {
+        el.dataset.i18nAttr.split(';').forEach(pair => {
+            const [attr, key] = pair.split(':').map(part => part.trim());
+            const message = key && lookupMessage(key);
+            if (attr && message !== undefined) {
+                el.setAttribute(attr, message);
+            }
+        });
+    });
+}
+
+/**
+ * Pick the initial language: saved choice, then browser preferences
+ * @returns {string}
+ */
+export function detectLanguage() {
+    const saved = getFromStorage('language');
+    if (SUPPORTED_LANGUAGES.includes(saved)) return saved;
+    
+    const preferred = navigator.languages || [navigator.language];
+    for (const language of preferred) {
+        if (!language) continue;
+        const match = SUPPORTED_LANGUAGES.find(supported =>
+            supported.toLowerCase() === language.toLowerCase() ||
+            supported.split('-')[0] === language.split('-')[0].toLowerCase()
+        );
+        if (match) return match;
+    }
+    
+    return DEFAULT_LANGUAGE;
+}
+
+/**
+ * Reflect the active language on the switcher buttons
+ */
+function updateLanguageSwitcher() {
+    document.querySelectorAll('[data-lang-switcher] [data-lang]').forEach(button => {
+        button.setAttribute('aria-pressed', String(button.dataset.lang === getLocale()));
+    });
+}
+
+/**
+ * Switch the page language
+ * Fires a `localechange` event on document so rendered widgets can update
+ * @param {string} language - One of SUPPORTED_LANGUAGES
+ * @param {Object} [options]
+ * @param {boolean} [options.persist] - Remember the choice
+ * @returns {Promise<void>}
+ */
+export async function setLanguage(language, { persist = true } = {}) {
+    if (!SUPPORTED_LANGUAGES.includes(language)) return;
+    
+    const [messages, fallback] = await Promise.all([
+        loadMessages(language),
+        loadMessages(DEFAULT_LANGUAGE)
+    ]);
+    
+    i18nState.language = language;
+    i18nState.messages = messages;
+    i18nState.fallback = fallback;
+    
+    document.documentElement.lang = language;
+    applyTranslations(document);
+    updateLanguageSwitcher();
+    
+    if (persist) {
+        saveToStorage('language', language);
+    }
+    
+    document.dispatchEvent(new CustomEvent('localechange', {
+        detail: { language }
+    }));
+}
@@ -0,0 +1,196 @@
+/**
+ * Bold - Adaptive performance governor
+ * Picks a rendering tier for motion-heavy effects from what the device
+ * reports (CPU cores, memory, Save-Data) and from frame rates measured
+ * while the page is actually scrolling or animating.
+ *
+ * Tiers, richest first:
+ * - full: every effect
+ * - reduced: no parallax, lighter animations
+ * - minimal: no decorative animation at all
+ */
+
+export const PERFORMANCE_TIERS = ['full', 'reduced', 'minimal'];
+
+// Frames kept in the rolling window, and how many are needed before judging
+const FPS_WINDOW = 60;
+const FPS_MIN_SAMPLES = 30;
+
+// Hysteresis: step down below the first number, back up only above the second
+const FPS_THRESHOLDS = {
+    reduced: { below: 30, recover: 45 },
+    minimal: { below: 20, recover: 30 }
+};
+
+// Minimum time between two tier changes, so the page never flaps
+const TIER_MIN_DWELL = 3000;
+
+// Sampling keeps going this long after the last scroll/animation frame
+const ACTIVITY_GRACE = 500;
+
+// Longer gaps are a paused tab or a one-off hitch, not a frame rate
+const MAX_FRAME_GAP = 250;
+
+const performanceState = {
+    measured: 'full',
+    tier: null,
+    samples: [],
+    frame: null,
+    lastFrame: null,
+    activeUntil: 0,
+    changedAt: 0,
+    listeners: new Set()
+};
+
+/**
+ * The richest tier the device should get, whatever it measures
+ * @returns {string}
+ */
+function getDeviceCeiling() {
+    const connection = navigator.connection;
+    if (connection && connection.saveData) return 'minimal';
+    
+    const memory = navigator.deviceMemory;
+    const cores = navigator.hardwareConcurrency;
+    if ((memory && memory <= 2) || (cores && cores <= 2)) return 'reduced';
+    
+    return 'full';
+}
+
+/**
+ * The poorer of two tiers
+ * @param {string} a
+ * @param {string} b
+ * @returns {string}
+ */
+function lowerTier(a, b) {
+    return PERFORMANCE_TIERS[Math.max(PERFORMANCE_TIERS.indexOf(a), PERFORMANCE_TIERS.indexOf(b))];
+}
+
+/**
+ * Get the tier effects should render at
+ * @returns {string} 'full', 'reduced' or 'minimal'
+ */
+export function getPerformanceTier() {
+    if (!performanceState.tier) {
+        performanceState.tier = lowerTier(performanceState.measured, getDeviceCeiling());
+    }
+    return performanceState.tier;
+}
+
+/**
+ * Recompute the tier and tell subscribers when it changed
+ * Also call this when the device hints change, e.g. Save-Data was toggled.
+ */
+export function refreshPerformanceTier() {
+    const previous = performanceState.tier;
+    const tier = lowerTier(performanceState.measured, getDeviceCeiling());
+    performanceState.tier = tier;
+    
+    // Nothing has read the tier yet, so there is nobody to tell
+    if (!previous || tier === previous) return;
+    
+    performanceState.listeners.forEach(listener => {
+        try {
+            listener(tier, previous);
+        } catch (error) {
+            console.warn('Performance listener failed:', error);
+        }
+    });
+    
+    document.dispatchEvent(new CustomEvent('performancechange', {
+        detail: { tier, previous }
+    }));
+}
+
+/**
+ * Move the measured tier one step based on the rolling average frame rate
+ */
+function evaluateSamples() {
+    const { samples, measured, changedAt } = performanceState;
+    if (samples.length < FPS_MIN_SAMPLES) return;
+    
+    const now = performance.now();
+    if (now - changedAt < TIER_MIN_DWELL) return;
+    
+    const average = samples.reduce((sum, duration) => sum + duration, 0) / samples.length;
+    const fps = 1000 / average;
+    
+    let next = measured;
+    if (measured === 'full' && fps < FPS_THRESHOLDS.reduced.below) {
+        next = 'reduced';
+    } else if (measured === 'reduced' && fps < FPS_THRESHOLDS.minimal.below) {
+        next = 'minimal';
+    } else if (measured === 'reduced' && fps > FPS_THRESHOLDS.reduced.recover) {
+        next = 'full';
+    } else if (measured === 'minimal' && fps > FPS_THRESHOLDS.minimal.recover) {
+        next = 'reduced';
+    }
+    
+    if (next === measured) return;
+    
+    performanceState.measured = next;
+    performanceState.changedAt = now;
+    // Judge the new tier on its own frames only
+    performanceState.samples = [];
+    refreshPerformanceTier();
+}
+
+/**
+ * Record one frame while there is activity, then stop
+ * @param {number} timestamp
+ */
+function sampleFrame(timestamp) {
+    performanceState.frame = null;
+    
+    if (performanceState.lastFrame !== null) {
+        const duration = timestamp - performanceState.lastFrame;
+        if (duration > 0 && duration < MAX_FRAME_GAP) {
+            performanceState.samples.push(duration);
+            if (performanceState.samples.length > FPS_WINDOW) {
+                performanceState.samples.shift();
+            }
+            evaluateSamples();
+        }
+    }
+    
+    if (document.hidden || performance.now() > performanceState.activeUntil) {
+        performanceState.lastFrame = null;
+        return;
+    }
+    
+    performanceState.lastFrame = timestamp;
+    performanceState.frame = requestAnimationFrame(sampleFrame);
+}
+
+/**
+ * Note that something is scrolling or animating, so frames are worth measuring
+ * Cheap enough to call on every frame of an animation.
+ */
+export function markPerformanceActivity() {
+    if (document.hidden) return;
+    
+    performanceState.activeUntil = performance.now() + ACTIVITY_GRACE;
+    if (!performanceState.frame) {
+        performanceState.frame = requestAnimationFrame(sampleFrame);
+    }
+}
+
+/**
+ * Stop sampling until the next activity
+ */
+export function pausePerformanceSampling() {
+    cancelAnimationFrame(performanceState.frame);
+    performanceState.frame = null;
+    performanceState.lastFrame = null;
+}
+
+/**
+ * Run a callback whenever the tier changes
+ * @param {function(string, string): void} listener - Receives the new and previous tier
+ * @returns {Function} Unsubscribe
+ */
+export function subscribePerformance(listener) {
+    performanceState.listeners.add(listener);
+    return () => performanceState.listeners.delete(listener);
+}
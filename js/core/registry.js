@@ -0,0 +1,128 @@
+/**
+ * Bold - Feature registry
+ * Every feature module default-exports a descriptor. The registry only
+ * starts a feature when its markup is on the page, hands it an AbortSignal
+ * for its listeners and can tear it down and start it again later.
+ */
+
+/**
+ * @typedef {Object} FeatureContext
+ * @property {Document|Element} root - Where the feature should look for its markup
+ * @property {AbortSignal} signal - Aborted when the feature is destroyed
+ */
+
+/**
+ * @typedef {Object} Feature
+ * @property {string} name - Unique feature name
+ * @property {string} [selector] - Feature only starts if this matches inside root
+ * @property {boolean} [blocking] - Later features wait for this one to finish
+ * @property {function(FeatureContext): (void|Promise<void>)} init
+ * @property {function(): void} [destroy] - Undo whatever the signal does not cover
+ */
+
+const features = new Map();
+const activeFeatures = new Map();
+
+/**
+ * Add a feature to the registry. Registration order is init order.
+ * @param {Feature} feature
+ */
+export function registerFeature(feature) {
+    if (features.has(feature.name)) {
+        console.warn(`Feature "${feature.name}" is already registered`);
+        return;
+    }
+    features.set(feature.name, feature);
+}
+
+/**
+ * Start a single feature if its markup exists
+ * @param {string} name
+ * @param {Document|Element} [root]
+ * @returns {Promise<boolean>} Whether the feature is running afterwards
+ */
+export async function initFeature(name, root = document) {
+    const feature = features.get(name);
+    if (!feature) {
+        console.warn(`Unknown feature "${name}"`);
+        return false;
+    }
+    if (activeFeatures.has(name)) return true;
+    if (feature.selector && !root.querySelector(feature.selector)) return false;
+    
+    const controller = new AbortController();
+    activeFeatures.set(name, controller);
+    
+    try {
+        await feature.init({ root, signal: controller.signal });
+        return activeFeatures.get(name) === controller;
+    } catch (error) {
+        console.warn(`Feature "${name}" failed to initialize:`, error);
+        destroyFeature(name);
+        return false;
+    }
+}
+
+/**
+ * Tear a feature down: abort its listeners and run its destroy hook
+ * @param {string} name
+ */
+export function destroyFeature(name) {
+    const controller = activeFeatures.get(name);
+    if (!controller) return;
+    
+    activeFeatures.delete(name);
+    controller.abort();
+    
+    try {
+        features.get(name).destroy?.();
+    } catch (error) {
+        console.warn(`Feature "${name}" failed to clean up:`, error);
+    }
+}
+
+/**
+ * Destroy and start a feature again, e.g. after its markup was replaced
+ * @param {string} name
+ * @param {Document|Element} [root]
+ * @returns {Promise<boolean>}
+ */
+export function reinitFeature(name, root = document) {
+    destroyFeature(name);
+    return initFeature(name, root);
+}
+
+/**
+ * Start every registered feature in order. Blocking features are awaited
+ * before the next one starts; the rest run side by side.
+ * @param {Document|Element} [root]
+ * @returns {Promise<void>}
+ */
+export async function initFeatures(root = document) {
+    const pending = [];
+    
+    for (const feature of features.values()) {
+        if (feature.blocking) {
+            await initFeature(feature.name, root);
+        } else {
+            pending.push(initFeature(feature.name, root));
+        }
+    }
+    
+    await Promise.all(pending);
+}
+
+/**
+ * Tear down every running feature, last started first
+ */
+export function destroyFeatures() {
+    [...activeFeatures.keys()].reverse().forEach(destroyFeature);
+}
+
+/**
+ * @param {string} name
+ * @returns {boolean}
+ */
+export function isFeatureActive(name) {
+    return activeFeatures.has(name);
+}
@@ -0,0 +1,151 @@
+/**
+ * Bold - Shared scroll/resize scheduler
+ * One set of passive window listeners feeds a single requestAnimationFrame
+ * per frame. Every task reads the DOM first, then all of them write, so
+ * the layout is computed once per frame instead of once per listener.
+ */
+
+/**
+ * @typedef {Object} FrameInfo
+ * @property {number} scrollY - Vertical scroll offset
+ * @property {number} width - Viewport width
+ * @property {number} height - Viewport height
+ */
+
+/**
+ * @typedef {Object} FrameTask
+ * @property {function(FrameInfo): *} [read] - Measure; must not touch styles or classes
+ * @property {function(*, FrameInfo): void} [write] - Mutate, given what read returned
+ */
+
+const schedulerState = {
+    tasks: {
+        scroll: new Set(),
+        resize: new Set()
+    },
+    dirty: new Set(),
+    frame: null,
+    listening: false
+};
+
+const requestScrollFrame = () => requestFrame('scroll');
+const requestResizeFrame = () => requestFrame('resize');
+
+/**
+ * Queue a frame for the given kind of change
+ * @param {'scroll'|'resize'} type
+ */
+export function requestFrame(type) {
+    schedulerState.dirty.add(type);
+    if (!schedulerState.frame) {
+        schedulerState.frame = requestAnimationFrame(flush);
+    }
+}
+
+/**
+ * Run every task due this frame: all reads, then all writes
+ */
+function flush() {
+    schedulerState.frame = null;
+    
+    // A task subscribed to both scroll and resize still runs once
+    const tasks = new Set();
+    schedulerState.dirty.forEach(type => {
+        schedulerState.tasks[type].forEach(task => tasks.add(task));
+    });
+    schedulerState.dirty.clear();
+    
+    const frame = {
+        scrollY: Math.max(0, window.pageYOffset),
+        width: window.innerWidth,
+        height: window.innerHeight
+    };
+    
+    const measured = Array.from(tasks, task => [task, runTask(task, 'read', frame)]);
+    measured.forEach(([task, value]) => runTask(task, 'write', value, frame));
+}
+
+/**
+ * Call one phase of a task without letting a failure stop the others
+ * @param {FrameTask} task
+ * @param {'read'|'write'} phase
+ * @param {...*} args
+ * @returns {*}
+ */
+function runTask(task, phase, ...args) {
+    if (!task[phase]) return undefined;
+    
+    try {
+        return task[phase](...args);
+    } catch (error) {
+        console.warn(`Scheduled ${phase} failed:`, error);
+        return undefined;
+    }
+}
+
+/**
+ * Attach the window listeners while anything is subscribed
+ */
+function updateListeners() {
+    const { scroll, resize } = schedulerState.tasks;
+    const needed = scroll.size > 0 || resize.size > 0;
+    if (needed === schedulerState.listening) return;
+    
+    const method = needed ? 'addEventListener' : 'removeEventListener';
+    window[method]('scroll', requestScrollFrame, { passive: true });
+    window[method]('resize', requestResizeFrame, { passive: true });
+    window[method]('orientationchange', requestResizeFrame, { passive: true });
+    schedulerState.listening = needed;
+    
+    if (!needed && schedulerState.frame) {
+        cancelAnimationFrame(schedulerState.frame);
+        schedulerState.frame = null;
+        schedulerState.dirty.clear();
+    }
+}
+
+/**
+ * Subscribe a task to a kind of change
+ * @param {'scroll'|'resize'} type
+ * @param {FrameTask|Function} task - A bare function runs in the write phase
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Unsubscribes when aborted
+ * @returns {Function} Unsubscribe
+ */
+function subscribe(type, task, { signal } = {}) {
+    const entry = typeof task === 'function' ? { write: task } : task;
+    const unsubscribe = () => {
+        schedulerState.tasks[type].delete(entry);
+        updateListeners();
+    };
+    
+    if (signal?.aborted) return unsubscribe;
+    
+    schedulerState.tasks[type].add(entry);
+    updateListeners();
+    signal?.addEventListener('abort', unsubscribe, { once: true });
+    
+    return unsubscribe;
+}
+
+/**
+ * Run a task on the next frame after the page scrolls
+ * @param {FrameTask|Function} task
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Function} Unsubscribe
+ */
+export function onScroll(task, options) {
+    return subscribe('scroll', task, options);
+}
+
+/**
+ * Run a task on the next frame after the viewport resizes or rotates
+ * @param {FrameTask|Function} task
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal]
+ * @returns {Function} Unsubscribe
+ */
+export function onResize(task, options) {
+    return subscribe('resize', task, options);
+}
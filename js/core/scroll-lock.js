@@ -0,0 +1,34 @@
+/**
+ * Bold - Shared page scroll lock
+ * Overlays (mobile menu, lightbox) each take a lock; the page only scrolls
+ * again once every lock has been released, so closing one overlay never
+ * unlocks the page underneath another.
+ */
+
+const scrollLockState = {
+    count: 0,
+    previousOverflow: ''
+};
+
+/**
+ * Stop the page from scrolling until the returned function is called
+ * @returns {Function} Release this lock; calling it again does nothing
+ */
+export function lockScroll() {
+    if (scrollLockState.count === 0) {
+        scrollLockState.previousOverflow = document.body.style.overflow;
+        document.body.style.overflow = 'hidden';
+    }
+    scrollLockState.count++;
+    
+    let released = false;
+    return () => {
+        if (released) return;
+        released = true;
+        
+        scrollLockState.count--;
+        if (scrollLockState.count === 0) {
+            document.body.style.overflow = scrollLockState.previousOverflow;
+        }
+    };
+}
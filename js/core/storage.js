@@ -0,0 +1,39 @@
+/**
+ * Bold - Consent-aware localStorage helpers
+ */
+
+import { STORAGE_CATEGORIES, hasConsent } from './consent.js';
+
+/**
+ * Save data to localStorage safely
+ * Skipped until the key's consent category (see STORAGE_CATEGORIES) is granted
+ * @param {string} key 
+ * @param {*} value 
+ * @returns {boolean} Whether the value was written
+ */
+export function saveToStorage(key, value) {
+    if (!hasConsent(STORAGE_CATEGORIES[key] || 'preferences')) return false;
+    
+    try {
+        localStorage.setItem(key, JSON.stringify(value));
+        return true;
+    } catch (e) {
+        console.warn('localStorage not available:', e);
+        return false;
+    }
+}
+
+/**
+ * Get data from localStorage safely
+ * @param {string} key 
+ * @returns {*}
+ */
+export function getFromStorage(key) {
+    try {
+        const item = localStorage.getItem(key);
+        return item ? JSON.parse(item) : null;
+    } catch (e) {
+        console.warn('localStorage not available:', e);
+        return null;
+    }
+}
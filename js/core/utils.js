@@ -0,0 +1,57 @@
+/**
+ * Bold - Generic timing, motion and environment helpers
+ */
+
+/**
+ * Debounce function to limit how often a function can fire
+ * @param {Function} func - Function to debounce
+ * @param {number} wait - Wait time in milliseconds
+ * @returns {Function}
+ */
+export function debounce(func, wait) {
+    let timeout;
+    return function executedFunction(...args) {
+        const later = () => {
+            clearTimeout(timeout);
+            func(...args);
+        };
+        clearTimeout(timeout);
+        timeout = setTimeout(later, wait);
+    };
+}
+
+/**
+ * Throttle function to ensure a function runs at most once per specified time
+ * @param {Function} func - Function to throttle
+ * @param {number} limit - Time limit in milliseconds
+ * @returns {Function}
+ */
+export function throttle(func, limit) {
+    let inThrottle;
+    return function(...args) {
+        if (!inThrottle) {
+            func.apply(this, args);
+            inThrottle = true;
+            setTimeout(() => inThrottle = false, limit);
+        }
+    };
+}
+
+/**
+ * Check if user prefers reduced motion
+ * @returns {boolean}
+ */
+export function prefersReducedMotion() {
+    return window.matchMedia('(prefers-reduced-motion: reduce)').matches;
+}
+
+// Hosts of the local mock server (npm run serve)
+const DEV_HOSTNAMES = ['localhost', '127.0.0.1'];
+
+/**
+ * Check if the page runs on a local development host
+ * @returns {boolean}
+ */
+export function isDevHost() {
+    return DEV_HOSTNAMES.includes(window.location.hostname);
+}
@@ -0,0 +1,56 @@
+/**
+ * Bold - Breakpoint and scroll position helpers
+ */
+
+/**
+ * Check if device is mobile
+ */
+export function isMobile() {
+    return window.innerWidth < 768;
+}
+
+/**
+ * Check if device is tablet
+ */
+export function isTablet() {
+    return window.innerWidth >= 768 && window.innerWidth < 1024;
+}
+
+/**
+ * Check if device is desktop
+ */
+export function isDesktop() {
+    return window.innerWidth >= 1024;
+}
+
+/**
+ * Get current breakpoint
+ */
+export function getCurrentBreakpoint() {
+    if (isMobile()) return 'mobile';
+    if (isTablet()) return 'tablet';
+    return 'desktop';
+}
+
+/**
+ * How far the page has been scrolled
+ * @returns {number} Percentage from 0 to 100
+ */
+export function getScrollPercentage() {
+    const scrollTop = window.pageYOffset || document.documentElement.scrollTop;
+    const scrollHeight = document.documentElement.scrollHeight - document.documentElement.clientHeight;
+    return scrollHeight > 0 ? (scrollTop / scrollHeight) * 100 : 0;
+}
+
+/**
+ * Height of the fixed nav, which covers the top of scrolled-to sections
+ * Reads --nav-height, kept current by the sticky header as the bar condenses
+ * @returns {number}
+ */
+export function getNavHeight() {
+    const height = parseFloat(getComputedStyle(document.documentElement).getPropertyValue('--nav-height'));
+    if (!Number.isNaN(height)) return height;
+    
+    const nav = document.querySelector('nav');
+    return nav ? nav.offsetHeight : 0;
+}
@@ -0,0 +1,284 @@
+/**
+ * Bold - Consent-gated analytics with pluggable providers
+ */
+
+import { hasConsent, getConsent, subscribeConsent } from '../core/consent.js';
+import { getLocale } from '../core/i18n.js';
+import { getScrollPercentage } from '../core/viewport.js';
+import { onScroll } from '../core/scheduler.js';
+
+const SCROLL_DEPTH_MILESTONES = [25, 50, 75, 100];
+const ANALYTICS_QUEUE_LIMIT = 100;
+const ANALYTICS_BEACON_DELAY = 2000;
+
+const analyticsState = {
+    consent: false,
+    queue: [],
+    providers: [],
+    builtInProviders: [],
+    scrollDepth: new Set()
+};
+
+/**
+ * Provider that pushes events to a Google Tag Manager style data layer
+ * @param {string} [name] - Global array name
+ * @returns {{send: Function}}
+ */
+export function createDataLayerProvider(name = 'dataLayer') {
+    return {
+        send(entry) {
+            window[name] = window[name] || [];
+            window[name].push({ event: entry.event, ...entry.props, timestamp: entry.timestamp });
+        }
+    };
+}
+
+/**
+ * Provider that batches events and posts them with navigator.sendBeacon,
+ * flushing when the page is hidden so nothing is lost on exit
+ * @param {string} endpoint - URL receiving { events: [...] }
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Stops listening for the page being hidden
+ * @returns {{send: Function, flush: Function}}
+ */
+export function createBeaconProvider(endpoint, { signal } = {}) {
+    let batch = [];
+    let timer = null;
+    
+    const flush = () => {
+        clearTimeout(timer);
+        if (!batch.length) return;
+        
+        const body = JSON.stringify({ events: batch });
+        batch = [];
+        
+        const sent = navigator.sendBeacon &&
+            navigator.sendBeacon(endpoint, new Blob([body], { type: 'application/json' }));
+        if (!sent) {
+            fetch(endpoint, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body,
+                keepalive: true
+            }).catch(e => console.warn('Analytics beacon failed:', e));
+        }
+    };
+    
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') flush();
+    }, { signal });
+    
+    return {
+        send(entry) {
+            batch.push(entry);
+            clearTimeout(timer);
+            timer = setTimeout(flush, ANALYTICS_BEACON_DELAY);
+        },
+        flush
+    };
+}
+
+/**
+ * Provider that logs events, for debugging instrumentation
+ * @returns {{send: Function}}
+ */
+export function createConsoleProvider() {
+    return {
+        send(entry) {
+            console.info('[analytics]', entry.event, entry.props);
+        }
+    };
+}
+
+/**
+ * Register a provider; it receives every event sent from now on
+ * @param {{send: Function}} provider - Object with a send(entry) method
+ */
+export function addAnalyticsProvider(provider) {
+    if (!provider || typeof provider.send !== 'function') {
+        throw new TypeError('Analytics provider must implement send(entry)');
+    }
+    analyticsState.providers.push(provider);
+}
+
+/**
+ * Stop sending events to a provider
+ * @param {{send: Function}} provider
+ */
+function removeAnalyticsProvider(provider) {
+    analyticsState.providers = analyticsState.providers.filter(item => item !== provider);
+}
+
+/**
+ * Hand an event to every provider
+ * @param {Object} entry
+ */
+function dispatchAnalytics(entry) {
+    analyticsState.providers.forEach(provider => {
+        try {
+            provider.send(entry);
+        } catch (e) {
+            console.warn('Analytics provider failed:', e);
+        }
+    });
+}
+
+/**
+ * Record an event. While the visitor has not decided on consent, events
+ * wait in a bounded in-memory queue; once analytics is refused they are
+ * dropped, so nothing recorded without consent is ever sent
+ * @param {string} event - Event name, e.g. 'tab_change'
+ * @param {Object} [props] - Extra properties
+ */
+export function track(event, props = {}) {
+    const entry = {
+        event,
+        props,
+        timestamp: new Date().toISOString(),
+        page: window.location.pathname,
+        language: getLocale()
+    };
+    
+    if (analyticsState.consent) {
+        dispatchAnalytics(entry);
+        return;
+    }
+    
+    if (!getConsent()) {
+        analyticsState.queue.push(entry);
+        if (analyticsState.queue.length > ANALYTICS_QUEUE_LIMIT) {
+            analyticsState.queue.shift();
+        }
+    }
+}
+
+/**
+ * Grant or withdraw analytics consent
+ * Granting flushes the events queued before the decision; withdrawing discards them
+ * @param {boolean} granted
+ */
+export function setAnalyticsConsent(granted) {
+    analyticsState.consent = Boolean(granted);
+    
+    const queued = analyticsState.queue;
+    analyticsState.queue = [];
+    
+    if (analyticsState.consent) {
+        queued.forEach(dispatchAnalytics);
+    }
+}
+
+/**
+ * Track 25/50/75/100% scroll milestones, once each per page view
+ * @param {number} percentage - Current scroll percentage
+ */
+function trackScrollDepth(percentage) {
+    SCROLL_DEPTH_MILESTONES.forEach(milestone => {
+        // Allow for rounding so the last pixel still counts as 100%
+        if (percentage >= milestone - 0.5 && !analyticsState.scrollDepth.has(milestone)) {
+            analyticsState.scrollDepth.add(milestone);
+            track('scroll_depth', { percent: milestone });
+        }
+    });
+}
+
+/**
+ * Track outbound links, social buttons and [data-track] elements
+ * @param {MouseEvent} e
+ */
+function handleAnalyticsClick(e) {
+    const target = e.target.closest('a, button, [data-track]');
+    if (!target) return;
+    
+    if (target.dataset.track) {
+        track(target.dataset.track, {
+            label: target.dataset.trackLabel || target.textContent.trim(),
+            href: target.getAttribute('href') || undefined
+        });
+    } else if (target.matches('.brand-link')) {
+        const panel = target.closest('[data-tab-panel]');
+        track('outbound_click', {
+            brand: panel ? panel.dataset.tabPanel : undefined,
+            url: target.href
+        });
+    } else if (target.matches('.social-btn')) {
+        track('social_click', {
+            network: new URL(target.href, document.baseURI).hostname.replace(/^www\./, ''),
+            url: target.href
+        });
+    }
+}
+
+/**
+ * Set up providers and instrument the existing interactions
+ * - <body data-analytics-endpoint="..."> enables the beacon provider
+ * - ?analytics_debug=1 logs every event to the console
+ * Events are only sent while analytics consent is granted
+ * @param {FeatureContext} context
+ */
+function initAnalytics({ root, signal }) {
+    analyticsState.builtInProviders = [createDataLayerProvider()];
+    
+    const endpoint = document.body.dataset.analyticsEndpoint;
+    if (endpoint) {
+        analyticsState.builtInProviders.push(createBeaconProvider(endpoint, { signal }));
+    }
+    
+    if (new URLSearchParams(window.location.search).has('analytics_debug')) {
+        analyticsState.builtInProviders.push(createConsoleProvider());
+    }
+    
+    analyticsState.builtInProviders.forEach(addAnalyticsProvider);
+    
+    if (getConsent()) {
+        setAnalyticsConsent(hasConsent('analytics'));
+    }
+    const unsubscribe = subscribeConsent(() => setAnalyticsConsent(hasConsent('analytics')));
+    signal.addEventListener('abort', unsubscribe);
+    
+    root.addEventListener('click', handleAnalyticsClick, { signal });
+    
+    root.addEventListener('tabchange', (e) => {
+        track('tab_change', { tab: e.detail.id, previous: e.detail.previousId });
+    }, { signal });
+    
+    root.addEventListener('lightboxopen', (e) => {
+        track('lightbox_open', { photo: e.detail.id, caption: e.detail.caption });
+    }, { signal });
+    
+    // Media events do not bubble, so listen in the capture phase
+    ['play', 'pause', 'ended'].forEach(type => {
+        root.addEventListener(type, (e) => {
+            if (!(e.target instanceof HTMLVideoElement)) return;
+            
+            // A pause fired by reaching the end is reported as 'ended' only
+            if (type === 'pause' && e.target.ended) return;
+            track(`video_${type}`, {
+                src: e.target.currentSrc,
+                position: Math.round(e.target.currentTime)
+            });
+        }, { capture: true, signal });
+    });
+    
+    onScroll({
+        read: () => getScrollPercentage(),
+        write: trackScrollDepth
+    }, { signal });
+}
+
+/**
+ * Remove the providers added by initAnalytics and forget pending events
+ * and reached scroll depths, so a re-init starts clean
+ */
+function destroyAnalytics() {
+    analyticsState.builtInProviders.forEach(removeAnalyticsProvider);
+    analyticsState.builtInProviders = [];
+    analyticsState.scrollDepth.clear();
+    analyticsState.queue = [];
+}
+
+export default {
+    name: 'analytics',
+    init: initAnalytics,
+    destroy: destroyAnalytics
+};
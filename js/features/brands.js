@@ -0,0 +1,336 @@
+/**
+ * Bold - Brand registry, brand tabs and #hash routing
+ */
+
+import { t, localize } from '../core/i18n.js';
+import { saveToStorage, getFromStorage } from '../core/storage.js';
+import { Tabs } from '../components/tabs.js';
+import { enhanceImages } from './images.js';
+import { observeReveals } from './reveal.js';
+
+const BRANDS_URL = 'data/brands.json';
+
+let brandRegistry = [];
+let brandRegistryPromise = null;
+
+/**
+ * Load the brand registry
+ * @param {string} url - Location of the brands JSON file
+ * @returns {Promise<Array>} List of brands (empty if unavailable)
+ */
+async function loadBrands(url = BRANDS_URL) {
+    try {
+        const response = await fetch(url);
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const brands = await response.json();
+        return Array.isArray(brands) ? brands : [];
+    } catch (e) {
+        console.warn('Brand registry not available:', e);
+        return [];
+    }
+}
+
+/**
+ * Brand registry shared with other features (e.g. the locator), fetched once
+ * @returns {Promise<Array>} List of brands (empty if unavailable)
+ */
+export function getBrandRegistry() {
+    if (!brandRegistryPromise) {
+        brandRegistryPromise = loadBrands();
+    }
+    return brandRegistryPromise;
+}
+
+/**
+ * Build the tab button for a brand
+ * @param {Object} brand - Brand entry from the registry
+ * @param {boolean} isActive - Whether this is the initially active tab
+ * @returns {HTMLButtonElement}
+ */
+function createBrandTabButton(brand, isActive) {
+    const button = document.createElement('button');
+    button.type = 'button';
+    button.className = 'tab-btn' + (isActive ? ' active' : '');
+    button.dataset.tab = brand.id;
+    button.setAttribute('aria-label', t('brands.tabLabel', { name: brand.name }));
+
+    // Lazy before src, so the original is not fetched ahead of its AVIF/WebP variants
+    const logo = document.createElement('img');
+    logo.loading = 'lazy';
+    logo.src = brand.logo;
+    logo.alt = brand.name;
+    logo.className = 'tab-logo';
+    logo.dataset.sizes = '140px';
+    button.appendChild(logo);
+
+    return button;
+}
+
+/**
+ * Build the content panel for a brand
+ * @param {Object} brand - Brand entry from the registry
+ * @param {boolean} isActive - Whether this is the initially active panel
+ * @returns {HTMLElement}
+ */
+function createBrandPanel(brand, isActive) {
+    const panel = document.createElement('div');
+    panel.id = brand.id;
+    panel.className = 'tab-content' + (isActive ? ' active' : '');
+    panel.dataset.tabPanel = brand.id;
+
+    const info = document.createElement('div');
+    info.className = 'tab-info';
+
+    const title = document.createElement('h3');
+    title.textContent = brand.title || brand.name;
+
+    const description = document.createElement('p');
+    description.textContent = localize(brand.description);
+
+    const features = document.createElement('div');
+    features.className = 'features-list';
+    features.dataset.revealStagger = '80';
+    (brand.features || []).forEach(feature => {
+        const item = document.createElement('div');
+        item.className = 'feature-item';
+        item.dataset.reveal = 'fade-left';
+
+        const icon = document.createElement('span');
+        icon.textContent = feature.icon;
+        const label = document.createElement('span');
+        label.textContent = localize(feature.label);
+
+        item.append(icon, label);
+        features.appendChild(item);
+    });
+
+    info.append(title, description, features);
+
+    if (brand.url) {
+        const link = document.createElement('a');
+        link.href = brand.url;
+        link.target = '_blank';
+        link.rel = 'noopener noreferrer';
+        link.className = 'brand-link';
+        link.textContent = localize(brand.linkLabel) || t('brands.visitSite', { name: brand.name });
+        info.appendChild(link);
+    }
+
+    panel.appendChild(info);
+
+    if (brand.image) {
+        const visual = document.createElement('div');
+        visual.className = 'tab-visual';
+
+        const image = document.createElement('img');
+        image.loading = 'lazy';
+        image.src = brand.image;
+        image.alt = brand.name;
+        image.dataset.sizes = '(min-width: 768px) 50vw, 100vw';
+        visual.appendChild(image);
+
+        panel.appendChild(visual);
+    }
+
+    return panel;
+}
+
+/**
+ * Render brand tab buttons and panels
+ * The first brand starts active; restoreActiveTab may override it afterwards
+ * @param {Array} brands - Brands from the registry
+ * @param {HTMLElement} tabsNav - Container for the tab buttons
+ * @param {HTMLElement} panelsContainer - Container for the tab panels
+ */
+function renderBrands(brands, tabsNav, panelsContainer) {
+    tabsNav.innerHTML = '';
+    panelsContainer.innerHTML = '';
+
+    brands.forEach((brand, index) => {
+        if (!brand || !brand.id) return;
+
+        const isActive = index === 0;
+        tabsNav.appendChild(createBrandTabButton(brand, isActive));
+        panelsContainer.appendChild(createBrandPanel(brand, isActive));
+    });
+
+    enhanceImages(tabsNav);
+    enhanceImages(panelsContainer);
+    observeReveals(panelsContainer);
+}
+
+/**
+ * Load the brand registry, render the brands section and bind its tabs
+ * @param {FeatureContext} context
+ * @returns {Promise<void>}
+ */
+async function initBrands({ root, signal }) {
+    const tabsNav = root.querySelector('[data-brands-nav]');
+    const panelsContainer = root.querySelector('[data-brands-panels]');
+
+    if (!tabsNav || !panelsContainer) return;
+
+    brandRegistry = await getBrandRegistry();
+    if (signal.aborted) return;
+
+    renderBrands(brandRegistry, tabsNav, panelsContainer);
+
+    const tabsRoot = tabsNav.closest('[data-tabs]');
+    if (tabsRoot) {
+        brandTabs = new Tabs(tabsRoot);
+        tabsRoot.addEventListener('tabchange', handleBrandTabChange, { signal });
+    }
+
+    document.addEventListener('localechange', () => {
+        rerenderBrands(tabsNav, panelsContainer);
+    }, { signal });
+}
+
+/**
+ * Re-render the brands in the active language, keeping the selected brand
+ * @param {HTMLElement} tabsNav - Container for the tab buttons
+ * @param {HTMLElement} panelsContainer - Container for the tab panels
+ */
+function rerenderBrands(tabsNav, panelsContainer) {
+    const tabsRoot = tabsNav.closest('[data-tabs]');
+    const selected = brandTabs ? brandTabs.selected : null;
+
+    renderBrands(brandRegistry, tabsNav, panelsContainer);
+
+    if (brandTabs && tabsRoot) {
+        brandTabs.destroy();
+        brandTabs = new Tabs(tabsRoot);
+        if (selected) {
+            brandTabs.select(selected, { silent: true });
+        }
+    }
+}
+
+// ============================================
+// BRAND TABS
+// ============================================
+
+let brandTabs = null;
+
+/**
+ * Persist and route user-initiated brand tab changes
+ * @param {CustomEvent} e - tabchange event
+ */
+function handleBrandTabChange(e) {
+    const tabName = e.detail.id;
+
+    // Save active tab to localStorage
+    saveToStorage('activeTab', tabName);
+
+    // Reflect the selected brand in the URL
+    pushBrandRoute(tabName);
+}
+
+/**
+ * Restore last active tab from the URL, falling back to localStorage
+ */
+export function restoreActiveTab() {
+    if (!brandTabs) return;
+
+    // A brand in the URL takes precedence over the saved one
+    const urlTab = getBrandFromUrl();
+    if (urlTab && brandTabs.select(urlTab, { silent: true })) return;
+    
+    const activeTab = getFromStorage('activeTab');
+    if (activeTab) {
+        brandTabs.select(activeTab, { silent: true });
+    }
+}
+
+// ============================================
+// BRAND ROUTING
+// ============================================
+
+const BRAND_PARAM = 'brand';
+
+/**
+ * Read the brand requested in the URL (e.g. ?brand=aussie)
+ * @returns {string|null}
+ */
+function getBrandFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get(BRAND_PARAM);
+}
+
+/**
+ * Build a URL for the given brand, keeping the other query params
+ * @param {string} brandId - ID of the brand tab
+ * @returns {string}
+ */
+function getBrandUrl(brandId) {
+    const url = new URL(window.location.href);
+    url.searchParams.set(BRAND_PARAM, brandId);
+    url.hash = '#marcas';
+    return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Add a history entry for the selected brand so back/forward undo tab switches
+ * @param {string} brandId - ID of the brand tab
+ */
+function pushBrandRoute(brandId) {
+    if (!history.pushState) return;
+    
+    const state = history.state && history.state.brand;
+    if (state === brandId && getBrandFromUrl() === brandId) return;
+    
+    history.pushState({ ...history.state, brand: brandId }, '', getBrandUrl(brandId));
+}
+
+/**
+ * Get the ID of the currently active brand tab
+ * @returns {string|null}
+ */
+function getActiveBrand() {
+    return brandTabs ? brandTabs.selected : null;
+}
+
+/**
+ * Sync the active tab with the history entry being restored
+ * @param {PopStateEvent} e
+ */
+function handleBrandPopState(e) {
+    const brand = (e.state && e.state.brand) || getBrandFromUrl();
+    if (brandTabs && brand && brand !== getActiveBrand()) {
+        brandTabs.select(brand, { silent: true });
+    }
+}
+
+/**
+ * Record the initial brand in the current history entry and listen for back/forward
+ * @param {FeatureContext} context
+ */
+function initBrandRouting({ signal }) {
+    const activeBrand = getActiveBrand();
+    
+    if (activeBrand && history.replaceState) {
+        history.replaceState({ ...history.state, brand: activeBrand }, '');
+    }
+    
+    window.addEventListener('popstate', handleBrandPopState, { signal });
+}
+
+export default {
+    name: 'brands',
+    selector: '[data-brands-nav]',
+    async init(context) {
+        // Render brand tabs, then restore saved tab state and URL routing
+        await initBrands(context);
+        restoreActiveTab();
+        initBrandRouting(context);
+    },
+    destroy() {
+        if (brandTabs) {
+            brandTabs.destroy();
+            brandTabs = null;
+        }
+        brandRegistryPromise = null;
+    }
+};
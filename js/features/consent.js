@@ -0,0 +1,134 @@
+/**
+ * Bold - Consent banner and preferences dialog
+ */
+
+import { CONSENT_CATEGORIES, hasConsent, getConsent, setConsent, acceptAllConsent, rejectOptionalConsent, subscribeConsent } from '../core/consent.js';
+
+const consentUiState = {
+    returnFocus: null
+};
+
+/**
+ * Hide the banner once a decision exists
+ */
+function hideConsentBanner() {
+    const banner = document.querySelector('[data-consent-banner]');
+    if (banner) banner.hidden = true;
+}
+
+/**
+ * Open the preferences modal with the current choices ticked
+ */
+export function openConsentPreferences() {
+    const modal = document.querySelector('[data-consent-modal]');
+    if (!modal) return;
+    
+    const form = modal.querySelector('[data-consent-form]');
+    CONSENT_CATEGORIES.forEach(category => {
+        const input = form.elements[category];
+        if (input && !input.disabled) {
+            input.checked = hasConsent(category);
+        }
+    });
+    
+    consentUiState.returnFocus = document.activeElement;
+    modal.hidden = false;
+    document.addEventListener('keydown', handleConsentKeydown);
+    
+    const first = form.querySelector('input:not([disabled])');
+    if (first) first.focus();
+}
+
+/**
+ * Close the preferences modal and restore focus
+ */
+function closeConsentPreferences() {
+    const modal = document.querySelector('[data-consent-modal]');
+    if (!modal || modal.hidden) return;
+    
+    modal.hidden = true;
+    document.removeEventListener('keydown', handleConsentKeydown);
+    
+    // The banner button that opened the modal is gone once a decision is made
+    const target = consentUiState.returnFocus;
+    if (target && target.isConnected && target.offsetParent !== null) {
+        target.focus();
+    } else {
+        const opener = document.querySelector('[data-consent-open]');
+        if (opener) opener.focus();
+    }
+    consentUiState.returnFocus = null;
+}
+
+/**
+ * Escape closes the modal; Tab/Shift+Tab stay inside it
+ * @param {KeyboardEvent} e
+ */
+function handleConsentKeydown(e) {
+    const dialog = document.querySelector('[data-consent-form]');
+    
+    if (e.key === 'Escape') {
+        e.preventDefault();
+        closeConsentPreferences();
+    } else if (e.key === 'Tab') {
+        const focusable = Array.from(dialog.querySelectorAll('button, input:not([disabled])'));
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+        
+        if (e.shiftKey && (document.activeElement === first || !dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !dialog.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+}
+
+/**
+ * Ask for a decision when none is saved, and bind the consent UI
+ * The decision itself is restored by main.js before any feature starts
+ * @param {FeatureContext} context
+ */
+function initConsent({ root, signal }) {
+    const banner = root.querySelector('[data-consent-banner]');
+    if (banner && !getConsent()) {
+        banner.hidden = false;
+    }
+    
+    const unsubscribe = subscribeConsent(hideConsentBanner);
+    signal.addEventListener('abort', unsubscribe);
+    
+    root.addEventListener('click', (e) => {
+        if (e.target.closest('[data-consent-accept]')) {
+            acceptAllConsent();
+            closeConsentPreferences();
+        } else if (e.target.closest('[data-consent-reject]')) {
+            rejectOptionalConsent();
+            closeConsentPreferences();
+        } else if (e.target.closest('[data-consent-customize], [data-consent-open]')) {
+            openConsentPreferences();
+        } else if (e.target.closest('[data-consent-close]') || e.target.matches('[data-consent-modal]')) {
+            closeConsentPreferences();
+        }
+    }, { signal });
+    
+    const form = root.querySelector('[data-consent-form]');
+    if (form) {
+        form.addEventListener('submit', (e) => {
+            e.preventDefault();
+            setConsent(Object.fromEntries(CONSENT_CATEGORIES.map(category => [
+                category,
+                Boolean(form.elements[category] && form.elements[category].checked)
+            ])));
+            closeConsentPreferences();
+        }, { signal });
+    }
+}
+
+export default {
+    name: 'consent',
+    selector: '[data-consent-banner], [data-consent-modal]',
+    init: initConsent,
+    destroy: closeConsentPreferences
+};
@@ -0,0 +1,198 @@
+/**
+ * Bold - Contact form validation and submission
+ */
+
+import { createEndpointAdapter, setFieldError } from '../core/forms.js';
+import { t } from '../core/i18n.js';
+
+/**
+ * Validation rules for the contact form, keyed by field name
+ * Each rule returns an error message, or '' when the value is valid
+ */
+export const CONTACT_VALIDATORS = {
+    name: (value) => value.trim().length >= 2 ? '' : t('contact.errors.name'),
+    email: (value) => /^[^\s@]+@[^\s@]+\.[^\s@]{2,}$/.test(value.trim()) ? '' : t('contact.errors.email'),
+    phone: (value) => !value.trim() || isValidBrazilianPhone(value) ? '' : t('contact.errors.phone'),
+    subject: (value) => value ? '' : t('contact.errors.subject'),
+    message: (value) => value.trim().length >= 10 ? '' : t('contact.errors.message'),
+    consent: (value, field) => field.checked ? '' : t('contact.errors.consent')
+};
+
+/**
+ * Format a value as a Brazilian phone number while typing
+ * (11) 4063-4000 for landlines, (11) 91234-5678 for mobiles
+ * @param {string} value
+ * @returns {string}
+ */
+export function formatBrazilianPhone(value) {
+    const digits = value.replace(/\D/g, '').slice(0, 11);
+    
+    if (digits.length === 0) return '';
+    if (digits.length <= 2) return `(${digits}`;
+    
+    const ddd = digits.slice(0, 2);
+    const number = digits.slice(2);
+    
+    if (number.length <= 4) return `(${ddd}) ${number}`;
+    
+    // Mobiles have 9 digits after the area code, landlines 8
+    const split = number.length === 9 ? 5 : 4;
+    return `(${ddd}) ${number.slice(0, split)}-${number.slice(split)}`;
+}
+
+/**
+ * Check a Brazilian phone number (area code + 8 or 9 digits)
+ * @param {string} value
+ * @returns {boolean}
+ */
+export function isValidBrazilianPhone(value) {
+    const digits = value.replace(/\D/g, '');
+    
+    if (!/^[1-9]{2}/.test(digits)) return false;
+    if (digits.length === 11) return digits[2] === '9';
+    return digits.length === 10;
+}
+
+let contactAdapter = null;
+
+/**
+ * Replace the adapter used to submit the contact form
+ * @param {{submit: Function}} adapter
+ */
+export function setContactAdapter(adapter) {
+    if (!adapter || typeof adapter.submit !== 'function') {
+        throw new TypeError('Contact adapter must implement submit(payload)');
+    }
+    contactAdapter = adapter;
+}
+
+/**
+ * Validate one field and show or clear its inline error
+ * @param {HTMLInputElement|HTMLSelectElement|HTMLTextAreaElement} field
+ * @returns {boolean} Whether the field is valid
+ */
+function validateContactField(field) {
+    const validator = CONTACT_VALIDATORS[field.name];
+    if (!validator) return true;
+    
+    const message = validator(field.value, field);
+    setFieldError(field, message);
+    
+    return !message;
+}
+
+/**
+ * Show a status message below the form
+ * @param {HTMLFormElement} form
+ * @param {string} message
+ * @param {string} type - 'success', 'error' or '' to clear
+ */
+export function setContactStatus(form, message, type) {
+    const status = form.querySelector('.form-status');
+    if (!status) return;
+    
+    status.textContent = message;
+    status.classList.toggle('success', type === 'success');
+    status.classList.toggle('error', type === 'error');
+}
+
+/**
+ * Validate and submit the contact form through the current adapter
+ * @param {SubmitEvent} e
+ */
+async function handleContactSubmit(e) {
+    e.preventDefault();
+    const form = e.currentTarget;
+    const fields = Array.from(form.querySelectorAll('[name]'))
+        .filter(field => CONTACT_VALIDATORS[field.name]);
+    
+    const invalidFields = fields.filter(field => !validateContactField(field));
+    if (invalidFields.length) {
+        setContactStatus(form, t('contact.status.invalid'), 'error');
+        invalidFields[0].focus();
+        return;
+    }
+    
+    const data = new FormData(form);
+    
+    // Bots fill the honeypot; pretend it worked and drop the message
+    if (data.get('website')) {
+        form.reset();
+        setContactStatus(form, t('contact.status.success'), 'success');
+        return;
+    }
+    
+    const payload = {
+        name: data.get('name').trim(),
+        email: data.get('email').trim(),
+        phone: data.get('phone').trim(),
+        subject: data.get('subject'),
+        message: data.get('message').trim(),
+        consent: true,
+        consentedAt: new Date().toISOString(),
+        page: window.location.href
+    };
+    
+    const submitButton = form.querySelector('[type="submit"]');
+    const buttonLabel = submitButton.textContent;
+    submitButton.disabled = true;
+    submitButton.textContent = t('contact.form.sending');
+    form.setAttribute('aria-busy', 'true');
+    setContactStatus(form, '', '');
+    
+    try {
+        await contactAdapter.submit(payload);
+        form.reset();
+        setContactStatus(form, t('contact.status.success'), 'success');
+    } catch (err) {
+        console.warn('Contact form submission failed:', err);
+        setContactStatus(form, t('contact.status.error'), 'error');
+    } finally {
+        submitButton.disabled = false;
+        submitButton.textContent = buttonLabel;
+        form.removeAttribute('aria-busy');
+    }
+}
+
+/**
+ * Initialize the contact form: masking, inline validation and submission
+ * @param {FeatureContext} context
+ */
+function initContactForm({ root, signal }) {
+    const form = root.querySelector('[data-contact-form]');
+    
+    if (!contactAdapter) {
+        contactAdapter = createEndpointAdapter(form.dataset.endpoint || form.action);
+    }
+    
+    form.querySelectorAll('[data-phone-mask]').forEach(input => {
+        input.addEventListener('input', () => {
+            input.value = formatBrazilianPhone(input.value);
+        }, { signal });
+    });
+    
+    form.querySelectorAll('[name]').forEach(field => {
+        if (!CONTACT_VALIDATORS[field.name]) return;
+        
+        // Validate on leaving the field, then live once it has been flagged
+        field.addEventListener('blur', () => validateContactField(field), { signal });
+        field.addEventListener(field.type === 'checkbox' ? 'change' : 'input', () => {
+            if (field.getAttribute('aria-invalid') === 'true') {
+                validateContactField(field);
+            }
+        }, { signal });
+    });
+    
+    form.addEventListener('submit', handleContactSubmit, { signal });
+    
+    // Re-word visible errors when the language changes
+    document.addEventListener('localechange', () => {
+        form.querySelectorAll('[aria-invalid="true"]').forEach(validateContactField);
+    }, { signal });
+}
+
+export default {
+    name: 'contactForm',
+    selector: '[data-contact-form]',
+    init: initContactForm
+};
@@ -0,0 +1,583 @@
+/**
+ * Bold - Gallery filters and lightbox
+ */
+
+import { t } from '../core/i18n.js';
+import { lockScroll } from '../core/scroll-lock.js';
+import { getPerformanceTier, markPerformanceActivity } from '../core/performance.js';
+
+const PHOTO_PARAM = 'photo';
+const LIGHTBOX_MIN_ZOOM = 1;
+const LIGHTBOX_MAX_ZOOM = 4;
+const LIGHTBOX_SWIPE_THRESHOLD = 50;
+
+/**
+ * Full-screen image viewer with navigation, swipe, zoom/pan and a focus trap
+ *
+ * Fires a bubbling `lightboxopen` CustomEvent when it opens, and sets
+ * data-motion to the performance tier so CSS can tone down its animations.
+ */
+class Lightbox {
+    constructor() {
+        this.items = [];
+        this.index = 0;
+        this.isOpen = false;
+        this.trigger = null;
+        this.pushedHistory = false;
+        this.releaseScroll = null;
+
+        // Zoom/pan state
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.pointers = new Map();
+        this.gesture = null;
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+
+        this.element = this.build();
+        this.image = this.element.querySelector('.lightbox-image');
+        this.stage = this.element.querySelector('.lightbox-stage');
+        this.caption = this.element.querySelector('.lightbox-caption');
+        this.counter = this.element.querySelector('.lightbox-counter');
+        this.prevBtn = this.element.querySelector('.lightbox-prev');
+        this.nextBtn = this.element.querySelector('.lightbox-next');
+
+        this.bindEvents();
+    }
+
+    /**
+     * Create the lightbox DOM (styled by the LIGHTBOX section of style.css)
+     * @returns {HTMLElement}
+     */
+    build() {
+        const lightbox = document.createElement('div');
+        lightbox.id = 'lightbox';
+        lightbox.className = 'lightbox';
+        lightbox.setAttribute('role', 'dialog');
+        lightbox.setAttribute('aria-modal', 'true');
+        lightbox.setAttribute('aria-label', t('lightbox.label'));
+        lightbox.dataset.i18nAttr = 'aria-label:lightbox.label';
+        lightbox.innerHTML = `
+            <div class="lightbox-content">
+                <button type="button" class="lightbox-close" aria-label="${t('lightbox.close')}" data-i18n-attr="aria-label:lightbox.close">&times;</button>
+                <button type="button" class="lightbox-nav lightbox-prev" aria-label="${t('lightbox.prev')}" data-i18n-attr="aria-label:lightbox.prev">&#8249;</button>
+                <div class="lightbox-stage">
+                    <img class="lightbox-image" src="" alt="" draggable="false">
+                </div>
+                <button type="button" class="lightbox-nav lightbox-next" aria-label="${t('lightbox.next')}" data-i18n-attr="aria-label:lightbox.next">&#8250;</button>
+                <div class="lightbox-caption"></div>
+                <div class="lightbox-counter" aria-live="polite"></div>
+            </div>
+        `;
+        document.body.appendChild(lightbox);
+
+        return lightbox;
+    }
+
+    /**
+     * Wire up buttons, backdrop clicks and zoom/swipe gestures
+     */
+    bindEvents() {
+        this.element.querySelector('.lightbox-close').addEventListener('click', () => this.close());
+        this.prevBtn.addEventListener('click', () => this.prev());
+        this.nextBtn.addEventListener('click', () => this.next());
+
+        this.element.addEventListener('click', (e) => {
+            if (e.target === this.element) {
+                this.close();
+            }
+        });
+
+        this.stage.addEventListener('dblclick', (e) => {
+            this.setZoom(this.scale > 1 ? 1 : 2, e.clientX, e.clientY);
+        });
+
+        this.stage.addEventListener('wheel', (e) => {
+            e.preventDefault();
+            const factor = e.deltaY < 0 ? 1.2 : 1 / 1.2;
+            this.setZoom(this.scale * factor, e.clientX, e.clientY);
+        }, { passive: false });
+
+        this.stage.addEventListener('pointerdown', (e) => this.handlePointerDown(e));
+        this.stage.addEventListener('pointermove', (e) => this.handlePointerMove(e));
+        this.stage.addEventListener('pointerup', (e) => this.handlePointerUp(e));
+        this.stage.addEventListener('pointercancel', (e) => this.handlePointerUp(e));
+    }
+
+    /**
+     * Close without touching history and remove the markup
+     */
+    destroy() {
+        if (this.isOpen) {
+            this.close({ updateUrl: false });
+        }
+        this.element.remove();
+    }
+
+    /**
+     * Replace the set of images the lightbox navigates through
+     * @param {Array<{src: string, alt: string, caption: string, trigger: HTMLElement}>} items
+     */
+    setItems(items) {
+        this.items = items;
+    }
+
+    /**
+     * Open the lightbox at a given item
+     * @param {number} index - Item index
+     * @param {Object} [options]
+     * @param {HTMLElement} [options.trigger] - Element to refocus when closing
+     * @param {boolean} [options.updateUrl] - Add a history entry for the photo
+     */
+    open(index, { trigger = null, updateUrl = true } = {}) {
+        if (!this.items.length) return;
+
+        this.trigger = trigger || document.activeElement;
+        this.show(index, { updateUrl: false });
+
+        if (!this.isOpen) {
+            this.isOpen = true;
+            this.element.classList.add('active');
+            this.releaseScroll = lockScroll();
+            this.element.dataset.motion = getPerformanceTier();
+            markPerformanceActivity();
+            document.addEventListener('keydown', this.handleKeydown);
+
+            if (updateUrl && this.items[this.index].id && history.pushState) {
+                history.pushState({ ...history.state, photo: this.items[this.index].id }, '', getPhotoUrl(this.items[this.index].id));
+                this.pushedHistory = true;
+            }
+
+            const item = this.items[this.index];
+            this.element.dispatchEvent(new CustomEvent('lightboxopen', {
+                bubbles: true,
+                detail: { id: item.id, src: item.src, caption: item.caption }
+            }));
+        }
+
+        this.element.querySelector('.lightbox-close').focus();
+    }
+
+    /**
+     * Close the lightbox and return focus to the element that opened it
+     * @param {Object} [options]
+     * @param {boolean} [options.updateUrl] - Remove the photo from the URL
+     */
+    close({ updateUrl = true } = {}) {
+        if (!this.isOpen) return;
+
+        this.isOpen = false;
+        this.element.classList.remove('active');
+        this.releaseScroll();
+        this.releaseScroll = null;
+        document.removeEventListener('keydown', this.handleKeydown);
+        this.resetZoom();
+
+        if (updateUrl) {
+            if (this.pushedHistory) {
+                // Popping our own entry keeps back/forward consistent
+                history.back();
+            } else if (getPhotoFromUrl() && history.replaceState) {
+                const state = { ...history.state };
+                delete state.photo;
+                history.replaceState(state, '', getPhotoUrl(null));
+            }
+        }
+        this.pushedHistory = false;
+
+        if (this.trigger && typeof this.trigger.focus === 'function') {
+            this.trigger.focus();
+        }
+        this.trigger = null;
+    }
+
+    /**
+     * Display the item at an index (wraps around)
+     * @param {number} index
+     * @param {Object} [options]
+     * @param {boolean} [options.updateUrl] - Replace the photo in the URL
+     */
+    show(index, { updateUrl = true } = {}) {
+        const total = this.items.length;
+        this.index = ((index % total) + total) % total;
+
+        const item = this.items[this.index];
+        this.resetZoom();
+        this.image.src = item.src;
+        this.image.alt = item.alt || '';
+        this.caption.textContent = item.caption || item.alt || '';
+        this.counter.textContent = total > 1 ? `${this.index + 1} / ${total}` : '';
+
+        this.prevBtn.hidden = total < 2;
+        this.nextBtn.hidden = total < 2;
+
+        // Warm up the neighbours so navigation feels instant,
+        // unless the device is short on resources or data
+        if (total > 1 && getPerformanceTier() !== 'minimal') {
+            [this.index - 1, this.index + 1].forEach(i => {
+                const neighbour = this.items[(i + total) % total];
+                new Image().src = neighbour.src;
+            });
+        }
+
+        if (updateUrl && this.isOpen && item.id && history.replaceState) {
+            history.replaceState({ ...history.state, photo: item.id }, '', getPhotoUrl(item.id));
+        }
+    }
+
+    next() {
+        this.show(this.index + 1);
+    }
+
+    prev() {
+        this.show(this.index - 1);
+    }
+
+    /**
+     * Keyboard handling while open: Escape, arrows, zoom keys and focus trap
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (e.key === 'Escape') {
+            e.preventDefault();
+            this.close();
+        } else if (e.key === 'ArrowRight') {
+            e.preventDefault();
+            this.next();
+        } else if (e.key === 'ArrowLeft') {
+            e.preventDefault();
+            this.prev();
+        } else if (e.key === '+' || e.key === '=') {
+            this.setZoom(this.scale * 1.5);
+        } else if (e.key === '-') {
+            this.setZoom(this.scale / 1.5);
+        } else if (e.key === 'Tab') {
+            this.trapFocus(e);
+        }
+    }
+
+    /**
+     * Keep Tab/Shift+Tab cycling inside the dialog
+     * @param {KeyboardEvent} e
+     */
+    trapFocus(e) {
+        const focusable = Array.from(this.element.querySelectorAll('button:not([hidden])'));
+        if (!focusable.length) return;
+
+        const first = focusable[0];
+        const last = focusable[focusable.length - 1];
+
+        if (e.shiftKey && (document.activeElement === first || !this.element.contains(document.activeElement))) {
+            e.preventDefault();
+            last.focus();
+        } else if (!e.shiftKey && (document.activeElement === last || !this.element.contains(document.activeElement))) {
+            e.preventDefault();
+            first.focus();
+        }
+    }
+
+    /**
+     * Zoom the image, keeping the point under the cursor/fingers in place
+     * @param {number} scale - Target scale
+     * @param {number} [originX] - Client X of the zoom origin
+     * @param {number} [originY] - Client Y of the zoom origin
+     */
+    setZoom(scale, originX, originY) {
+        const nextScale = Math.min(LIGHTBOX_MAX_ZOOM, Math.max(LIGHTBOX_MIN_ZOOM, scale));
+
+        if (originX !== undefined && originY !== undefined) {
+            const rect = this.stage.getBoundingClientRect();
+            const offsetX = originX - (rect.left + rect.width / 2);
+            const offsetY = originY - (rect.top + rect.height / 2);
+            const ratio = nextScale / this.scale;
+            this.x = offsetX - (offsetX - this.x) * ratio;
+            this.y = offsetY - (offsetY - this.y) * ratio;
+        }
+
+        this.scale = nextScale;
+        this.applyTransform();
+    }
+
+    resetZoom() {
+        this.scale = 1;
+        this.x = 0;
+        this.y = 0;
+        this.pointers.clear();
+        this.gesture = null;
+        this.applyTransform();
+    }
+
+    /**
+     * Clamp the pan to the image bounds and apply the transform
+     */
+    applyTransform() {
+        if (this.scale <= 1) {
+            this.x = 0;
+            this.y = 0;
+        } else {
+            const maxX = (this.stage.clientWidth * (this.scale - 1)) / 2;
+            const maxY = (this.stage.clientHeight * (this.scale - 1)) / 2;
+            this.x = Math.min(maxX, Math.max(-maxX, this.x));
+            this.y = Math.min(maxY, Math.max(-maxY, this.y));
+        }
+
+        this.image.style.transform = this.scale > 1
+            ? `translate3d(${this.x}px, ${this.y}px, 0) scale(${this.scale})`
+            : '';
+        this.stage.classList.toggle('zoomed', this.scale > 1);
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    handlePointerDown(e) {
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+        if (this.stage.setPointerCapture) {
+            this.stage.setPointerCapture(e.pointerId);
+        }
+
+        if (this.pointers.size === 2) {
+            // Two fingers: pinch
+            const [a, b] = Array.from(this.pointers.values());
+            this.gesture = {
+                type: 'pinch',
+                distance: Math.hypot(a.x - b.x, a.y - b.y),
+                scale: this.scale
+            };
+        } else if (this.pointers.size === 1) {
+            // One pointer: pan when zoomed, swipe otherwise
+            this.gesture = {
+                type: this.scale > 1 ? 'pan' : 'swipe',
+                startX: e.clientX,
+                startY: e.clientY,
+                x: this.x,
+                y: this.y
+            };
+        }
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    handlePointerMove(e) {
+        if (!this.pointers.has(e.pointerId) || !this.gesture) return;
+        this.pointers.set(e.pointerId, { x: e.clientX, y: e.clientY });
+
+        if (this.gesture.type === 'pinch' && this.pointers.size === 2) {
+            const [a, b] = Array.from(this.pointers.values());
+            const distance = Math.hypot(a.x - b.x, a.y - b.y);
+            if (this.gesture.distance > 0) {
+                this.setZoom(this.gesture.scale * (distance / this.gesture.distance), (a.x + b.x) / 2, (a.y + b.y) / 2);
+            }
+        } else if (this.gesture.type === 'pan') {
+            this.x = this.gesture.x + (e.clientX - this.gesture.startX);
+            this.y = this.gesture.y + (e.clientY - this.gesture.startY);
+            this.applyTransform();
+        }
+    }
+
+    /**
+     * @param {PointerEvent} e
+     */
+    handlePointerUp(e) {
+        if (!this.pointers.has(e.pointerId)) return;
+        this.pointers.delete(e.pointerId);
+
+        if (this.gesture && this.gesture.type === 'swipe' && e.type === 'pointerup') {
+            const dx = e.clientX - this.gesture.startX;
+            const dy = e.clientY - this.gesture.startY;
+
+            // Only horizontal swipes navigate
+            if (Math.abs(dx) > LIGHTBOX_SWIPE_THRESHOLD && Math.abs(dx) > Math.abs(dy)) {
+                if (dx < 0) {
+                    this.next();
+                } else {
+                    this.prev();
+                }
+            }
+        }
+
+        if (this.pointers.size === 0) {
+            this.gesture = null;
+        }
+    }
+}
+
+let lightbox = null;
+
+// Root the gallery was initialized under, where its items are looked up
+let galleryRoot = null;
+
+/**
+ * Get the shared lightbox, creating it on first use
+ * @returns {Lightbox}
+ */
+function getLightbox() {
+    if (!lightbox) {
+        lightbox = new Lightbox();
+    }
+    return lightbox;
+}
+
+/**
+ * Read the photo requested in the URL (e.g. ?photo=3)
+ * @returns {string|null}
+ */
+function getPhotoFromUrl() {
+    const params = new URLSearchParams(window.location.search);
+    return params.get(PHOTO_PARAM);
+}
+
+/**
+ * Build a URL with the given photo, keeping the other query params
+ * @param {string|null} photoId - Photo to link to, or null to remove it
+ * @returns {string}
+ */
+function getPhotoUrl(photoId) {
+    const url = new URL(window.location.href);
+    if (photoId) {
+        url.searchParams.set(PHOTO_PARAM, photoId);
+    } else {
+        url.searchParams.delete(PHOTO_PARAM);
+    }
+    return url.pathname + url.search + url.hash;
+}
+
+/**
+ * Collect the images of the gallery grid as lightbox items
+ * Photos are identified by their 1-based position in the grid
+ * @returns {Array}
+ */
+function getGalleryItems() {
+    if (!galleryRoot) return [];
+
+    return Array.from(galleryRoot.querySelectorAll('.gallery-grid .gallery-item'))
+        .map((item, index) => {
+            const img = item.querySelector('img');
+            const title = item.querySelector('.gallery-overlay h4');
+            if (!img) return null;
+
+            return {
+                id: String(index + 1),
+                src: img.dataset.fullSrc || img.currentSrc || img.src,
+                alt: img.alt || '',
+                caption: title ? title.textContent : img.alt || '',
+                trigger: item
+            };
+        })
+        .filter(Boolean);
+}
+
+/**
+ * Create and show lightbox for a single image
+ * @param {string} imageSrc - Source of the image
+ * @param {string} imageAlt - Alt text for the image
+ */
+export function showLightbox(imageSrc, imageAlt = '') {
+    const viewer = getLightbox();
+    viewer.setItems([{ src: imageSrc, alt: imageAlt, caption: imageAlt }]);
+    viewer.open(0);
+}
+
+/**
+ * Open the lightbox on a gallery photo, with the whole grid as navigation set
+ * @param {number} index - Index of the photo in the grid
+ * @param {Object} [options] - Passed to Lightbox#open
+ */
+function openGalleryLightbox(index, options = {}) {
+    const items = getGalleryItems();
+    if (!items[index]) return;
+
+    const viewer = getLightbox();
+    viewer.setItems(items);
+    viewer.open(index, { trigger: items[index].trigger, ...options });
+}
+
+/**
+ * Close the lightbox
+ */
+export function closeLightbox() {
+    if (lightbox) {
+        lightbox.close();
+    }
+}
+
+/**
+ * Open or close the lightbox to match the photo in the URL
+ */
+function syncLightboxWithUrl() {
+    const photoId = getPhotoFromUrl();
+    const index = getGalleryItems().findIndex(item => item.id === photoId);
+
+    if (index !== -1) {
+        openGalleryLightbox(index, { updateUrl: false });
+    } else if (lightbox && lightbox.isOpen) {
+        lightbox.close({ updateUrl: false });
+    }
+}
+
+/**
+ * Give each gallery item an accessible name in the active language
+ * @param {NodeList} items - Gallery items
+ */
+function labelGalleryItems(items) {
+    items.forEach(item => {
+        const title = item.querySelector('.gallery-overlay h4');
+        item.setAttribute('aria-label', t('gallery.open', {
+            title: title ? title.textContent : ''
+        }));
+    });
+}
+
+/**
+ * Initialize gallery item click handlers
+ * @param {FeatureContext} context
+ */
+function initGallery({ root, signal }) {
+    galleryRoot = root;
+    const items = root.querySelectorAll('.gallery-grid .gallery-item');
+
+    items.forEach((item, index) => {
+        item.addEventListener('click', () => openGalleryLightbox(index), { signal });
+
+        // Make gallery items keyboard accessible
+        item.setAttribute('tabindex', '0');
+        item.setAttribute('role', 'button');
+        item.setAttribute('aria-haspopup', 'dialog');
+
+        item.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' || e.key === ' ') {
+                e.preventDefault();
+                openGalleryLightbox(index);
+            }
+        }, { signal });
+    });
+
+    labelGalleryItems(items);
+    document.addEventListener('localechange', () => labelGalleryItems(items), { signal });
+
+    // Deep link to a photo, and follow back/forward between photos
+    if (getPhotoFromUrl()) {
+        syncLightboxWithUrl();
+    }
+    window.addEventListener('popstate', syncLightboxWithUrl, { signal });
+}
+
+/**
+ * Remove the lightbox; it is rebuilt on the next open
+ */
+function destroyGallery() {
+    if (lightbox) {
+        lightbox.destroy();
+        lightbox = null;
+    }
+    galleryRoot = null;
+}
+
+export default {
+    name: 'gallery',
+    selector: '.gallery-grid .gallery-item',
+    init: initGallery,
+    destroy: destroyGallery
+};
@@ -0,0 +1,184 @@
+/**
+ * Bold - Image loading hints and AVIF/WebP upgrades
+ */
+
+// Written by tools/build-images.js (npm run build:images)
+const IMAGE_MANIFEST_URL = 'Fotos/optimized/manifest.json';
+
+// Preferred first: browsers take the first <source> they support
+const IMAGE_FORMATS = [
+    { key: 'avif', type: 'image/avif' },
+    { key: 'webp', type: 'image/webp' }
+];
+
+let imageManifestPromise = null;
+
+/**
+ * Load the responsive image manifest once
+ * @returns {Promise<Object>} Map of original path to variants (empty if not built)
+ */
+function loadImageManifest() {
+    if (!imageManifestPromise) {
+        imageManifestPromise = fetch(IMAGE_MANIFEST_URL)
+            .then(response => {
+                if (!response.ok) {
+                    throw new Error(`HTTP ${response.status}`);
+                }
+                return response.json();
+            })
+            .catch(e => {
+                console.warn('Responsive image manifest not available:', e);
+                return {};
+            });
+    }
+    return imageManifestPromise;
+}
+
+/**
+ * Find the manifest entry for an image by its original src
+ * @param {HTMLImageElement} img
+ * @param {Object} manifest
+ * @returns {Object|undefined}
+ */
+function getImageEntry(img, manifest) {
+    const src = img.getAttribute('src');
+    if (!src) return undefined;
+    
+    const path = new URL(src, document.baseURI).pathname.replace(/^\//, '');
+    return manifest[decodeURIComponent(path)];
+}
+
+/**
+ * Build a srcset string from manifest variants
+ * @param {Array<{src: string, width: number}>} variants
+ * @returns {string}
+ */
+function buildSrcset(variants) {
+    return variants.map(variant => `${variant.src} ${variant.width}w`).join(', ');
+}
+
+/**
+ * Above-the-fold images must load right away
+ * @param {HTMLImageElement} img
+ * @returns {boolean}
+ */
+function isPriorityImage(img) {
+    return img.getAttribute('fetchpriority') === 'high' || Boolean(img.closest('.hero'));
+}
+
+/**
+ * Show the blurred placeholder until the full image has loaded
+ * @param {HTMLImageElement} img
+ * @param {string} placeholder - Data URI
+ */
+function applyPlaceholder(img, placeholder) {
+    if (!placeholder || (img.complete && img.naturalWidth > 0)) return;
+    
+    img.style.backgroundImage = `url("${placeholder}")`;
+    img.classList.add('img-placeholder');
+    
+    const reveal = () => {
+        img.classList.remove('img-placeholder');
+        img.style.backgroundImage = '';
+    };
+    img.addEventListener('load', reveal, { once: true });
+    img.addEventListener('error', reveal, { once: true });
+}
+
+/**
+ * Wrap an image in a <picture> with AVIF/WebP sources from the manifest
+ * The original file stays as the <img> fallback
+ * @param {HTMLImageElement} img
+ * @param {Object} entry - Manifest entry for the image
+ */
+function enhanceImage(img, entry) {
+    const sizes = img.dataset.sizes || '100vw';
+    const picture = document.createElement('picture');
+    picture.className = 'responsive-picture';
+    
+    IMAGE_FORMATS.forEach(format => {
+        const variants = entry.sources[format.key];
+        if (!variants || !variants.length) return;
+        
+        const source = document.createElement('source');
+        source.type = format.type;
+        source.srcset = buildSrcset(variants);
+        source.sizes = sizes;
+        picture.appendChild(source);
+    });
+    
+    // Reserve the space up front so the layout does not jump
+    if (!img.hasAttribute('width') && !img.hasAttribute('height')) {
+        img.width = entry.width;
+        img.height = entry.height;
+    }
+    
+    img.decoding = 'async';
+    
+    // The lightbox shows the largest WebP instead of the original file
+    const largest = (entry.sources.webp || []).slice(-1)[0];
+    if (largest) {
+        img.dataset.fullSrc = largest.src;
+    }
+    
+    applyPlaceholder(img, entry.placeholder);
+    
+    img.replaceWith(picture);
+    picture.appendChild(img);
+    img.dataset.responsive = 'true';
+}
+
+/**
+ * Upgrade every lazy image under root that has built variants
+ * Eager images are left alone: the browser is already downloading their
+ * original src, and swapping in a <picture> would fetch the image twice.
+ * tools/build-images.js writes their <picture> into the page instead.
+ * Candidates are picked synchronously, before optimizeImages adds loading hints.
+ * Safe to call again after rendering new content
+ * @param {ParentNode} root
+ * @returns {Promise<void>}
+ */
+export async function enhanceImages(root = document) {
+    const images = root.querySelectorAll('img[loading="lazy"]:not([data-responsive])');
+    const manifest = await loadImageManifest();
+    
+    images.forEach(img => {
+        const entry = getImageEntry(img, manifest);
+        if (entry && entry.sources && !img.closest('picture')) {
+            enhanceImage(img, entry);
+        }
+    });
+}
+// ============================================
+// RESPONSIVE IMAGE OPTIMIZATION
+// ============================================
+
+/**
+ * Add responsive image loading based on viewport
+ * @param {ParentNode} root
+ */
+function optimizeImages(root = document) {
+    const images = root.querySelectorAll('img:not([data-optimized])');
+    
+    images.forEach(img => {
+        // Add loading="lazy" if not already present; above-the-fold images stay eager
+        if (!img.hasAttribute('loading') && !isPriorityImage(img)) {
+            img.setAttribute('loading', 'lazy');
+        }
+        
+        // Mark as optimized
+        img.setAttribute('data-optimized', 'true');
+    });
+}
+
+export default {
+    name: 'images',
+    selector: 'img',
+    init({ root }) {
+        // Swap in AVIF/WebP variants where they have been built; this picks
+        // its images before optimizeImages marks late ones as lazy
+        const enhanced = enhanceImages(root);
+        optimizeImages(root);
+        return enhanced;
+    }
+};
@@ -0,0 +1,38 @@
+/**
+ * Bold - Language switcher and initial translation load
+ */
+
+import { getLocale, detectLanguage, setLanguage } from '../core/i18n.js';
+
+/**
+ * Bind the language switcher buttons in the nav
+ * @param {FeatureContext} context
+ */
+function initLanguageSwitcher({ root, signal }) {
+    const switcher = root.querySelector('[data-lang-switcher]');
+    if (!switcher) return;
+    
+    switcher.addEventListener('click', (e) => {
+        const button = e.target.closest('[data-lang]');
+        if (button && button.dataset.lang !== getLocale()) {
+            setLanguage(button.dataset.lang);
+        }
+    }, { signal });
+}
+
+/**
+ * Load translations for the detected language
+ * @param {FeatureContext} context
+ * @returns {Promise<void>}
+ */
+function initI18n(context) {
+    initLanguageSwitcher(context);
+    return setLanguage(detectLanguage(), { persist: false });
+}
+
+// Blocking: rendered content should start in the right language
+export default {
+    name: 'i18n',
+    blocking: true,
+    init: initI18n
+};
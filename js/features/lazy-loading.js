@@ -0,0 +1,41 @@
+/**
+ * Bold - Lazy loading for images with data-src
+ */
+
+let imageObserver = null;
+
+/**
+ * Initialize lazy loading for images
+ * @param {FeatureContext} context
+ */
+function initLazyLoading({ root }) {
+    const images = root.querySelectorAll('img[data-src]');
+    
+    imageObserver = new IntersectionObserver((entries, observer) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                const img = entry.target;
+                img.src = img.dataset.src;
+                img.removeAttribute('data-src');
+                img.classList.add('loaded');
+                observer.unobserve(img);
+            }
+        });
+    }, {
+        rootMargin: '50px'
+    });
+    
+    images.forEach(img => imageObserver.observe(img));
+}
+
+export default {
+    name: 'lazyLoading',
+    selector: 'img[data-src]',
+    init: initLazyLoading,
+    destroy() {
+        if (imageObserver) {
+            imageObserver.disconnect();
+            imageObserver = null;
+        }
+    }
+};
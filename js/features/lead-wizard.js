@@ -0,0 +1,519 @@
+/**
+ * Bold - Multi-step franchise and partnership lead wizard
+ */
+
+import { createEndpointAdapter, setFieldError } from '../core/forms.js';
+import { getLocale, t } from '../core/i18n.js';
+import { saveToStorage, getFromStorage } from '../core/storage.js';
+import { debounce } from '../core/utils.js';
+import { CONTACT_VALIDATORS, formatBrazilianPhone, isValidBrazilianPhone, setContactStatus } from './contact-form.js';
+
+const LEAD_DRAFT_KEY = 'leadDraft';
+
+// Never stored in the draft: contact details are personal data rather than a
+// preference, consent must be given again, and the honeypot is for bots
+const LEAD_DRAFT_EXCLUDED = ['name', 'email', 'phone', 'consent', 'website'];
+
+/**
+ * Validation rules for the lead wizard, keyed by field name
+ * Each rule receives the field value (an array for checkbox groups) and
+ * the form, and returns an error message, or '' when the value is valid
+ */
+const LEAD_VALIDATORS = {
+    partnerType: (value) => value ? '' : t('lead.errors.partnerType'),
+    brands: (value) => value.length ? '' : t('lead.errors.brands'),
+    city: (value) => value.trim().length >= 2 ? '' : t('lead.errors.city'),
+    uf: (value) => value ? '' : t('lead.errors.uf'),
+    capital: (value) => value ? '' : t('lead.errors.capital'),
+    propertyStatus: (value) => value ? '' : t('lead.errors.propertyStatus'),
+    propertyArea: (value, form) => {
+        if (!value && getLeadValue(form, 'propertyStatus') !== 'disponivel') return '';
+        return Number(value) > 0 ? '' : t('lead.errors.propertyArea');
+    },
+    name: CONTACT_VALIDATORS.name,
+    email: CONTACT_VALIDATORS.email,
+    phone: (value) => isValidBrazilianPhone(value) ? '' : t('contact.errors.phone'),
+    consent: (value, form) => form.elements.consent.checked ? '' : t('contact.errors.consent')
+};
+
+/**
+ * Read a wizard field by name
+ * @param {HTMLFormElement} form
+ * @param {string} name
+ * @returns {string|string[]} Checked values for checkbox groups, the value otherwise
+ */
+function getLeadValue(form, name) {
+    const inputs = Array.from(form.querySelectorAll(`[name="${name}"]`));
+    if (!inputs.length) return '';
+    
+    if (inputs[0].type === 'checkbox' && inputs.length > 1) {
+        return inputs.filter(input => input.checked).map(input => input.value);
+    }
+    if (inputs[0].type === 'radio') {
+        const checked = inputs.find(input => input.checked);
+        return checked ? checked.value : '';
+    }
+    if (inputs[0].type === 'checkbox') {
+        return inputs[0].checked ? inputs[0].value : '';
+    }
+    return inputs[0].value;
+}
+
+/**
+ * Multi-step lead form for franchise and real-estate partners
+ *
+ * Markup contract:
+ * - [data-lead-wizard] on the form, with data-endpoint for submissions
+ * - [data-wizard-step="name"] fieldsets, one per step, the last being the review
+ * - .wizard-progress with one <li> per step
+ * - [data-wizard-prev], [data-wizard-next] and [data-wizard-submit] buttons
+ * - [data-wizard-review] where the answers are summarized
+ * - Radio/checkbox groups are wrapped in an element whose id is "lead-<name>"
+ */
+class LeadWizard {
+    /**
+     * @param {HTMLFormElement} form - Element with [data-lead-wizard]
+     * @param {Object} adapter - Submission adapter implementing submit(payload)
+     */
+    constructor(form, adapter) {
+        this.form = form;
+        this.adapter = adapter;
+        this.steps = Array.from(form.querySelectorAll('[data-wizard-step]'));
+        this.progressItems = Array.from(form.querySelectorAll('.wizard-progress li'));
+        this.status = form.querySelector('[data-wizard-status]');
+        this.review = form.querySelector('[data-wizard-review]');
+        this.draftNote = form.querySelector('[data-wizard-draft]');
+        this.prevBtn = form.querySelector('[data-wizard-prev]');
+        this.nextBtn = form.querySelector('[data-wizard-next]');
+        this.submitBtn = form.querySelector('[data-wizard-submit]');
+        this.current = 0;
+
+        this.saveDraft = debounce(this.saveDraft.bind(this), 400);
+        this.events = new AbortController();
+
+        this.bindEvents();
+        this.restoreDraft();
+        this.form.hidden = false;
+        this.goTo(this.current, { focus: false });
+    }
+
+    bindEvents() {
+        const { signal } = this.events;
+
+        this.prevBtn.addEventListener('click', () => this.goTo(this.current - 1), { signal });
+        this.nextBtn.addEventListener('click', () => this.next(), { signal });
+        this.form.addEventListener('submit', (e) => this.handleSubmit(e), { signal });
+
+        this.form.querySelectorAll('[data-phone-mask]').forEach(input => {
+            input.addEventListener('input', () => {
+                input.value = formatBrazilianPhone(input.value);
+            }, { signal });
+        });
+
+        this.form.addEventListener('input', () => this.saveDraft(), { signal });
+        this.form.addEventListener('change', (e) => {
+            this.saveDraft();
+
+            // Re-check a flagged field, or its group, as soon as it changes
+            const name = e.target.name;
+            const target = this.getErrorTarget(name);
+            if (target && target.getAttribute('aria-invalid') === 'true') {
+                this.validateField(name);
+            }
+        }, { signal });
+
+        this.form.addEventListener('focusout', (e) => {
+            const field = e.target;
+            if (field.name && LEAD_VALIDATORS[field.name] && field.type !== 'radio' && field.type !== 'checkbox') {
+                if (field.value || field.getAttribute('aria-invalid') === 'true') {
+                    this.validateField(field.name);
+                }
+            }
+        }, { signal });
+
+        // Enter in a text field moves on instead of submitting early
+        this.form.addEventListener('keydown', (e) => {
+            if (e.key === 'Enter' && e.target.tagName === 'INPUT' && !this.isLastStep()) {
+                e.preventDefault();
+                this.next();
+            }
+        }, { signal });
+
+        const discard = this.form.querySelector('[data-wizard-discard]');
+        if (discard) {
+            discard.addEventListener('click', () => this.reset(), { signal });
+        }
+
+        document.addEventListener('localechange', () => {
+            this.form.querySelectorAll('[aria-invalid="true"]').forEach(target => {
+                this.validateField(target.name || target.id.replace(/^lead-/, ''));
+            });
+            this.updateStatus();
+            if (this.isLastStep()) {
+                this.renderReview();
+            }
+        }, { signal });
+    }
+
+    isLastStep() {
+        return this.current === this.steps.length - 1;
+    }
+
+    /**
+     * The element that carries aria-invalid for a field: the control itself,
+     * or the group wrapping a set of radios/checkboxes
+     * @param {string} name
+     * @returns {HTMLElement|null}
+     */
+    getErrorTarget(name) {
+        if (!name) return null;
+        const group = this.form.querySelector(`#lead-${name}[role="group"]`);
+        return group || this.form.querySelector(`[name="${name}"]`);
+    }
+
+    /**
+     * @param {string} name - Field name
+     * @returns {boolean} Whether the field is valid
+     */
+    validateField(name) {
+        const validator = LEAD_VALIDATORS[name];
+        const target = this.getErrorTarget(name);
+        if (!validator || !target) return true;
+
+        const message = validator(getLeadValue(this.form, name), this.form);
+        setFieldError(target, message);
+        return !message;
+    }
+
+    /**
+     * Validate every field in a step, focusing the first invalid one
+     * @param {number} index
+     * @returns {boolean}
+     */
+    validateStep(index) {
+        const names = new Set(Array.from(this.steps[index].querySelectorAll('[name]'))
+            .map(field => field.name)
+            .filter(name => LEAD_VALIDATORS[name]));
+
+        const invalid = Array.from(names).filter(name => !this.validateField(name));
+        if (invalid.length) {
+            const target = this.getErrorTarget(invalid[0]);
+            const focusable = target.matches('[role="group"]') ? target.querySelector('input') : target;
+            focusable.focus();
+            return false;
+        }
+        return true;
+    }
+
+    next() {
+        if (!this.validateStep(this.current)) return;
+        this.goTo(this.current + 1);
+    }
+
+    /**
+     * Show a step; moving forward is only possible through valid steps
+     * @param {number} index
+     * @param {Object} [options]
+     * @param {boolean} [options.focus] - Move focus to the step heading
+     */
+    goTo(index, { focus = true } = {}) {
+        const target = Math.max(0, Math.min(index, this.steps.length - 1));
+
+        this.current = target;
+        this.steps.forEach((step, i) => {
+            step.hidden = i !== target;
+        });
+        this.progressItems.forEach((item, i) => {
+            item.classList.toggle('is-complete', i < target);
+            if (i === target) {
+                item.setAttribute('aria-current', 'step');
+            } else {
+                item.removeAttribute('aria-current');
+            }
+        });
+
+        this.prevBtn.hidden = target === 0;
+        this.nextBtn.hidden = this.isLastStep();
+        this.submitBtn.hidden = !this.isLastStep();
+
+        if (this.isLastStep()) {
+            this.renderReview();
+        }
+
+        this.updateStatus();
+        this.saveDraft();
+
+        if (focus) {
+            const legend = this.steps[target].querySelector('legend');
+            if (legend) legend.focus();
+        }
+    }
+
+    updateStatus() {
+        const item = this.progressItems[this.current];
+        this.status.textContent = t('lead.stepOf', {
+            current: this.current + 1,
+            total: this.steps.length,
+            title: item ? item.textContent : ''
+        });
+    }
+
+    /**
+     * Human-readable label of a choice, taken from its <label>
+     * @param {string} name
+     * @param {string} value
+     * @returns {string}
+     */
+    getChoiceLabel(name, value) {
+        const input = this.form.querySelector(`[name="${name}"][value="${value}"]`);
+        const label = input && input.closest('label');
+        return label ? label.textContent.trim() : value;
+    }
+
+    /**
+     * Summarize the answers, each with a link back to its step
+     */
+    renderReview() {
+        const form = this.form;
+        const choice = (name) => {
+            const value = getLeadValue(form, name);
+            return value ? this.getChoiceLabel(name, value) : '';
+        };
+
+        const rows = [
+            ['brands', t('lead.review.partnerType'), choice('partnerType')],
+            ['brands', t('lead.review.brands'), getLeadValue(form, 'brands')
+                .map(value => this.getChoiceLabel('brands', value)).join(', ')],
+            ['location', t('lead.review.location'), `${getLeadValue(form, 'city').trim()}/${getLeadValue(form, 'uf')}`],
+            ['capital', t('lead.review.capital'), choice('capital')],
+            ['property', t('lead.review.property'), [
+                choice('propertyStatus'),
+                getLeadValue(form, 'propertyArea') ? `${getLeadValue(form, 'propertyArea')} m²` : '',
+                getLeadValue(form, 'propertyNotes').trim()
+            ].filter(Boolean).join(' · ')],
+            ['contact', t('lead.review.contact'), [
+                getLeadValue(form, 'name').trim(),
+                getLeadValue(form, 'email').trim(),
+                getLeadValue(form, 'phone')
+            ].join(' · ')]
+        ];
+
+        this.review.innerHTML = '';
+        rows.forEach(([step, label, value]) => {
+            const term = document.createElement('dt');
+            term.textContent = label;
+
+            const detail = document.createElement('dd');
+            const text = document.createElement('span');
+            text.textContent = value || '—';
+
+            const edit = document.createElement('button');
+            edit.type = 'button';
+            edit.className = 'wizard-link';
+            edit.textContent = t('lead.review.edit');
+            edit.setAttribute('aria-label', `${t('lead.review.edit')}: ${label}`);
+            edit.addEventListener('click', () => {
+                this.goTo(this.steps.findIndex(el => el.dataset.wizardStep === step));
+            });
+
+            detail.append(text, ' ', edit);
+            this.review.append(term, detail);
+        });
+    }
+
+    /**
+     * Collect the answers, optionally leaving out fields that are not kept in drafts
+     * @param {boolean} [forDraft]
+     * @returns {Object}
+     */
+    getValues(forDraft = false) {
+        const names = new Set(Array.from(this.form.querySelectorAll('[name]')).map(field => field.name));
+        const values = {};
+        names.forEach(name => {
+            if (forDraft && LEAD_DRAFT_EXCLUDED.includes(name)) return;
+            values[name] = getLeadValue(this.form, name);
+        });
+        return values;
+    }
+
+    /**
+     * Fill the form from saved answers
+     * @param {Object} values
+     */
+    setValues(values) {
+        Object.entries(values).forEach(([name, value]) => {
+            this.form.querySelectorAll(`[name="${name}"]`).forEach(input => {
+                if (input.type === 'checkbox' || input.type === 'radio') {
+                    input.checked = Array.isArray(value) ? value.includes(input.value) : value === input.value;
+                } else {
+                    input.value = value;
+                }
+            });
+        });
+    }
+
+    saveDraft() {
+        const values = this.getValues(true);
+        const hasAnswers = Object.values(values).some(value => value.length);
+        if (!hasAnswers && this.current === 0) return;
+
+        saveToStorage(LEAD_DRAFT_KEY, {
+            step: this.current,
+            values,
+            savedAt: new Date().toISOString()
+        });
+    }
+
+    restoreDraft() {
+        const draft = getFromStorage(LEAD_DRAFT_KEY);
+        if (!draft || !draft.values) return;
+
+        this.setValues(draft.values);
+
+        // The review step is only reached through the steps before it
+        this.current = Math.min(Number(draft.step) || 0, this.steps.length - 2);
+        if (this.draftNote) {
+            this.draftNote.hidden = false;
+        }
+    }
+
+    clearDraft() {
+        saveToStorage(LEAD_DRAFT_KEY, null);
+    }
+
+    /**
+     * Start over with an empty form
+     */
+    reset() {
+        this.form.reset();
+        this.form.querySelectorAll('[aria-invalid]').forEach(target => setFieldError(target, ''));
+        this.clearDraft();
+        if (this.draftNote) {
+            this.draftNote.hidden = true;
+        }
+        this.goTo(0);
+    }
+
+    /**
+     * @param {SubmitEvent} e
+     */
+    async handleSubmit(e) {
+        e.preventDefault();
+        const form = this.form;
+
+        // Every step is checked again in case the draft skipped over one
+        for (let i = 0; i < this.steps.length - 1; i++) {
+            if (!this.validateStep(i)) {
+                this.goTo(i, { focus: false });
+                this.validateStep(i);
+                setContactStatus(form, t('contact.status.invalid'), 'error');
+                return;
+            }
+        }
+
+        const values = this.getValues();
+
+        // Bots fill the honeypot; pretend it worked and drop the lead
+        if (values.website) {
+            this.finish();
+            return;
+        }
+
+        const payload = {
+            partnerType: values.partnerType,
+            brands: values.brands,
+            city: values.city.trim(),
+            uf: values.uf,
+            capital: values.capital,
+            propertyStatus: values.propertyStatus,
+            propertyArea: values.propertyArea ? Number(values.propertyArea) : null,
+            propertyNotes: values.propertyNotes.trim(),
+            name: values.name.trim(),
+            email: values.email.trim(),
+            phone: values.phone.trim(),
+            consent: true,
+            consentedAt: new Date().toISOString(),
+            language: getLocale(),
+            page: window.location.href
+        };
+
+        const buttonLabel = this.submitBtn.textContent;
+        this.submitBtn.disabled = true;
+        this.submitBtn.textContent = t('contact.form.sending');
+        form.setAttribute('aria-busy', 'true');
+        setContactStatus(form, '', '');
+
+        try {
+            await this.adapter.submit(payload);
+            this.finish();
+        } catch (err) {
+            console.warn('Lead submission failed:', err);
+            setContactStatus(form, t('lead.status.error'), 'error');
+        } finally {
+            this.submitBtn.disabled = false;
+            this.submitBtn.textContent = buttonLabel;
+            form.removeAttribute('aria-busy');
+        }
+    }
+
+    /**
+     * Unbind the wizard and hide the form again (it only works with JavaScript)
+     */
+    destroy() {
+        this.events.abort();
+        this.form.hidden = true;
+    }
+
+    finish() {
+        this.form.reset();
+        this.clearDraft();
+        if (this.draftNote) {
+            this.draftNote.hidden = true;
+        }
+        this.goTo(0, { focus: false });
+        setContactStatus(this.form, t('lead.status.success'), 'success');
+    }
+}
+
+let leadAdapter = null;
+let leadWizard = null;
+
+/**
+ * Replace how the lead wizard submits (e.g. a CRM client or a test double)
+ * @param {{submit: Function}} adapter - Object with an async submit(payload) method
+ */
+export function setLeadAdapter(adapter) {
+    if (!adapter || typeof adapter.submit !== 'function') {
+        throw new TypeError('Lead adapter must implement submit(payload)');
+    }
+    leadAdapter = adapter;
+    if (leadWizard) {
+        leadWizard.adapter = adapter;
+    }
+}
+
+/**
+ * Initialize the franchise/partnership lead wizard
+ * @param {FeatureContext} context
+ */
+function initLeadWizard({ root }) {
+    const form = root.querySelector('[data-lead-wizard]');
+
+    if (!leadAdapter) {
+        leadAdapter = createEndpointAdapter(form.dataset.endpoint || form.action);
+    }
+
+    leadWizard = new LeadWizard(form, leadAdapter);
+}
+
+export default {
+    name: 'leadWizard',
+    selector: '[data-lead-wizard]',
+    init: initLeadWizard,
+    destroy() {
+        if (leadWizard) {
+            leadWizard.destroy();
+            leadWizard = null;
+        }
+    }
+};
@@ -0,0 +1,399 @@
+/**
+ * Bold - Restaurant locator with filters and distance sorting
+ */
+
+import { t, formatNumber } from '../core/i18n.js';
+import { debounce, isDevHost } from '../core/utils.js';
+import { getBrandRegistry } from './brands.js';
+
+// Sourced unit data is published here; data/units.sample.json holds
+// placeholder entries that only the local mock server serves in its place
+const UNITS_URL = 'data/units.json';
+const LOCATOR_TIMEZONE = 'America/Sao_Paulo';
+const WEEKDAY_KEYS = ['sun', 'mon', 'tue', 'wed', 'thu', 'fri', 'sat'];
+const EARTH_RADIUS_KM = 6371;
+
+const locatorState = {
+    units: [],
+    brandNames: {},
+    position: null
+};
+
+/**
+ * Load the restaurant units dataset
+ * Units marked "placeholder" are dropped outside local development, so
+ * made-up phones and hours never reach visitors
+ * @param {string} url - Location of the units JSON file
+ * @returns {Promise<Array>} List of units (empty if unavailable)
+ */
+async function loadUnits(url = UNITS_URL) {
+    try {
+        const response = await fetch(url);
+        // Not published yet: the section stays hidden without a warning
+        if (response.status === 404) return [];
+        if (!response.ok) {
+            throw new Error(`HTTP ${response.status}`);
+        }
+        const units = await response.json();
+        if (!Array.isArray(units)) return [];
+        
+        return isDevHost() ? units : units.filter(unit => unit && !unit.placeholder);
+    } catch (e) {
+        console.warn('Units dataset not available:', e);
+        return [];
+    }
+}
+
+/**
+ * Lowercase and strip accents so "sao paulo" matches "São Paulo"
+ * @param {string} text
+ * @returns {string}
+ */
+function normalizeText(text) {
+    return String(text || '')
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .trim();
+}
+
+/**
+ * Great-circle distance between two coordinates (haversine formula)
+ * @param {{lat: number, lng: number}} from
+ * @param {{lat: number, lng: number}} to
+ * @returns {number} Distance in kilometers
+ */
+function haversineDistance(from, to) {
+    const toRadians = (degrees) => degrees * Math.PI / 180;
+    const dLat = toRadians(to.lat - from.lat);
+    const dLng = toRadians(to.lng - from.lng);
+    
+    const a = Math.sin(dLat / 2) ** 2 +
+        Math.cos(toRadians(from.lat)) * Math.cos(toRadians(to.lat)) * Math.sin(dLng / 2) ** 2;
+    
+    return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+}
+
+/**
+ * Get weekday and minutes since midnight in the São Paulo timezone
+ * @param {Date} date
+ * @returns {{day: number, minutes: number}} day is 0 (Sunday) to 6
+ */
+function getLocalTime(date = new Date()) {
+    const parts = new Intl.DateTimeFormat('en-US', {
+        timeZone: LOCATOR_TIMEZONE,
+        weekday: 'short',
+        hour: '2-digit',
+        minute: '2-digit',
+        hourCycle: 'h23'
+    }).formatToParts(date);
+    
+    const get = (type) => parts.find(part => part.type === type).value;
+    const day = WEEKDAY_KEYS.indexOf(get('weekday').toLowerCase().slice(0, 3));
+    
+    return {
+        day,
+        minutes: Number(get('hour')) * 60 + Number(get('minute'))
+    };
+}
+
+/**
+ * Parse opening hours like "12:00-15:00,18:30-00:00" into minute ranges
+ * Ranges closing at or after midnight end past 1440
+ * @param {string} hours
+ * @returns {Array<[number, number]>}
+ */
+function parseOpeningHours(hours) {
+    if (!hours) return [];
+    
+    const toMinutes = (time) => {
+        const [h, m] = time.trim().split(':').map(Number);
+        return h * 60 + (m || 0);
+    };
+    
+    return hours.split(',').map(range => {
+        const [open, close] = range.split('-').map(toMinutes);
+        return [open, close <= open ? close + 1440 : close];
+    });
+}
+
+/**
+ * Check whether a unit is open at a given moment (São Paulo time)
+ * @param {Object} unit - Unit with an `hours` map keyed by weekday (sun..sat)
+ * @param {Date} date
+ * @returns {boolean}
+ */
+function isUnitOpen(unit, date = new Date()) {
+    if (!unit.hours) return false;
+    
+    const { day, minutes } = getLocalTime(date);
+    const today = parseOpeningHours(unit.hours[WEEKDAY_KEYS[day]]);
+    const yesterday = parseOpeningHours(unit.hours[WEEKDAY_KEYS[(day + 6) % 7]]);
+    
+    return today.some(([open, close]) => minutes >= open && minutes < close) ||
+        yesterday.some(([, close]) => close > 1440 && minutes < close - 1440);
+}
+
+/**
+ * Filter units by brand, state, free text and opening status
+ * @param {Array} units
+ * @param {Object} filters
+ * @param {string} [filters.query] - City or neighborhood (accent-insensitive)
+ * @param {string} [filters.brand] - Brand ID
+ * @param {string} [filters.uf] - State abbreviation
+ * @param {boolean} [filters.openNow] - Only units open right now
+ * @param {Date} [date] - Moment used for the opening check
+ * @returns {Array}
+ */
+function filterUnits(units, { query = '', brand = '', uf = '', openNow = false } = {}, date = new Date()) {
+    const terms = normalizeText(query).split(/\s+/).filter(Boolean);
+    
+    return units.filter(unit => {
+        if (brand && unit.brand !== brand) return false;
+        if (uf && unit.uf !== uf) return false;
+        if (openNow && !isUnitOpen(unit, date)) return false;
+        
+        if (terms.length) {
+            const haystack = normalizeText([unit.name, unit.neighborhood, unit.city, unit.uf, unit.address].join(' '));
+            return terms.every(term => haystack.includes(term));
+        }
+        
+        return true;
+    });
+}
+
+/**
+ * Sort units by distance from a position, annotating each with `distance`
+ * @param {Array} units
+ * @param {{lat: number, lng: number}} position
+ * @returns {Array} New sorted array
+ */
+function sortUnitsByDistance(units, position) {
+    return units
+        .map(unit => ({ ...unit, distance: haversineDistance(position, unit) }))
+        .sort((a, b) => a.distance - b.distance);
+}
+
+/**
+ * Format today's opening hours for display
+ * @param {Object} unit
+ * @returns {string}
+ */
+function formatTodayHours(unit) {
+    const { day } = getLocalTime();
+    const hours = unit.hours && unit.hours[WEEKDAY_KEYS[day]];
+    return hours
+        ? t('locator.hoursToday', { hours: hours.replace(/-/g, '–').replace(/,/g, ', ') })
+        : t('locator.closedToday');
+}
+
+/**
+ * Build the result card for a unit
+ * @param {Object} unit
+ * @returns {HTMLLIElement}
+ */
+function createUnitCard(unit) {
+    const item = document.createElement('li');
+    item.className = 'unit-card';
+    item.dataset.brand = unit.brand;
+    
+    const isOpen = isUnitOpen(unit);
+    const mapsUrl = `https://www.google.com/maps/search/?api=1&query=${unit.lat},${unit.lng}`;
+    
+    item.innerHTML = `
+        <div class="unit-header">
+            <span class="unit-brand"></span>
+            <span class="unit-badge ${isOpen ? 'open' : 'closed'}">${t(isOpen ? 'locator.badgeOpen' : 'locator.badgeClosed')}</span>
+        </div>
+        <h3 class="unit-name"></h3>
+        <p class="unit-address"></p>
+        <p class="unit-hours"></p>
+        <div class="unit-links">
+            <a class="unit-phone"></a>
+            <a class="unit-directions" target="_blank" rel="noopener noreferrer">${t('locator.directions')}</a>
+        </div>
+    `;
+    
+    item.querySelector('.unit-brand').textContent = locatorState.brandNames[unit.brand] || unit.brand;
+    item.querySelector('.unit-name').textContent = unit.name;
+    item.querySelector('.unit-address').textContent =
+        `${unit.address} – ${unit.neighborhood}, ${unit.city}/${unit.uf}`;
+    item.querySelector('.unit-hours').textContent = formatTodayHours(unit);
+    item.querySelector('.unit-directions').href = mapsUrl;
+    
+    const phone = item.querySelector('.unit-phone');
+    if (unit.phone) {
+        phone.href = `tel:+55${unit.phone.replace(/\D/g, '')}`;
+        phone.textContent = unit.phone;
+    } else {
+        phone.remove();
+    }
+    
+    if (typeof unit.distance === 'number') {
+        const distance = document.createElement('span');
+        distance.className = 'unit-distance';
+        distance.textContent = `${formatNumber(unit.distance, { maximumFractionDigits: 1 })} km`;
+        item.querySelector('.unit-header').appendChild(distance);
+    }
+    
+    return item;
+}
+
+/**
+ * Read the current filter values from the locator form
+ * @param {HTMLFormElement} form
+ * @returns {Object}
+ */
+function getLocatorFilters(form) {
+    return {
+        query: form.elements.query.value,
+        brand: form.elements.brand.value,
+        uf: form.elements.uf.value,
+        openNow: form.elements.openNow.checked
+    };
+}
+
+/**
+ * Apply the filters and render the matching units
+ * @param {HTMLElement} section - Locator section
+ */
+function renderLocatorResults(section) {
+    const form = section.querySelector('[data-locator-form]');
+    const results = section.querySelector('[data-locator-results]');
+    const status = section.querySelector('[data-locator-status]');
+    
+    let units = filterUnits(locatorState.units, getLocatorFilters(form));
+    if (locatorState.position) {
+        units = sortUnitsByDistance(units, locatorState.position);
+    }
+    
+    results.innerHTML = '';
+    units.forEach(unit => results.appendChild(createUnitCard(unit)));
+    
+    status.textContent = units.length === 0
+        ? t('locator.noResults')
+        : t('locator.results', { count: units.length });
+}
+
+/**
+ * Fill a select with options, keeping its first (placeholder) option
+ * @param {HTMLSelectElement} select
+ * @param {Array<{value: string, label: string}>} options
+ */
+function fillSelect(select, options) {
+    // Keep the "all" placeholder, drop options from a previous run
+    select.querySelectorAll('option:not([value=""])').forEach(option => option.remove());
+    
+    options.forEach(({ value, label }) => {
+        const option = document.createElement('option');
+        option.value = value;
+        option.textContent = label;
+        select.appendChild(option);
+    });
+}
+
+/**
+ * Ask for the visitor's position and sort results by distance
+ * @param {HTMLElement} section - Locator section
+ * @param {HTMLButtonElement} button - "Perto de mim" button
+ */
+function locateNearby(section, button) {
+    const status = section.querySelector('[data-locator-status]');
+    
+    // Second click turns distance sorting off
+    if (locatorState.position) {
+        locatorState.position = null;
+        button.setAttribute('aria-pressed', 'false');
+        renderLocatorResults(section);
+        return;
+    }
+    
+    if (!('geolocation' in navigator)) {
+        status.textContent = t('locator.geoUnsupported');
+        return;
+    }
+    
+    button.disabled = true;
+    status.textContent = t('locator.locating');
+    
+    navigator.geolocation.getCurrentPosition((position) => {
+        locatorState.position = {
+            lat: position.coords.latitude,
+            lng: position.coords.longitude
+        };
+        button.disabled = false;
+        button.setAttribute('aria-pressed', 'true');
+        renderLocatorResults(section);
+    }, (error) => {
+        console.warn('Geolocation failed:', error);
+        button.disabled = false;
+        status.textContent = t('locator.geoError');
+    }, {
+        timeout: 10000,
+        maximumAge: 300000
+    });
+}
+
+/**
+ * Initialize the restaurant locator
+ * @param {FeatureContext} context
+ * @returns {Promise<void>}
+ */
+async function initLocator({ root, signal }) {
+    const section = root.querySelector('[data-locator]');
+    
+    const form = section.querySelector('[data-locator-form]');
+    const nearbyButton = section.querySelector('[data-locator-nearby]');
+    
+    const [units, brands] = await Promise.all([loadUnits(), getBrandRegistry()]);
+    if (signal.aborted) return;
+    
+    // Nothing to search: hide the section rather than show an empty one
+    if (!units.length) {
+        section.hidden = true;
+        return;
+    }
+    
+    locatorState.units = units;
+    brands.forEach(brand => {
+        locatorState.brandNames[brand.id] = brand.name;
+    });
+    
+    const brandIds = [...new Set(units.map(unit => unit.brand))];
+    fillSelect(form.elements.brand, brandIds.map(id => ({
+        value: id,
+        label: locatorState.brandNames[id] || id
+    })));
+    
+    const states = [...new Set(units.map(unit => unit.uf))].sort();
+    fillSelect(form.elements.uf, states.map(uf => ({ value: uf, label: uf })));
+    
+    const update = () => renderLocatorResults(section);
+    const updateWhileTyping = debounce(update, 200);
+    
+    // Free text re-filters as the visitor types; selects and checkbox on change
+    form.addEventListener('input', (e) => {
+        if (e.target.name === 'query') updateWhileTyping();
+    }, { signal });
+    form.addEventListener('change', (e) => {
+        if (e.target.name !== 'query') update();
+    }, { signal });
+    form.addEventListener('submit', (e) => {
+        e.preventDefault();
+        update();
+    }, { signal });
+    
+    if (nearbyButton) {
+        nearbyButton.addEventListener('click', () => locateNearby(section, nearbyButton), { signal });
+    }
+    
+    document.addEventListener('localechange', update, { signal });
+    
+    update();
+}
+
+export default {
+    name: 'locator',
+    selector: '[data-locator]',
+    init: initLocator
+};
@@ -0,0 +1,198 @@
+/**
+ * Bold - Mobile navigation menu and swipe gestures
+ */
+
+import { applyTranslations } from '../core/i18n.js';
+import { isMobile } from '../core/viewport.js';
+import { Drawer } from '../components/drawer.js';
+
+// Swipe tuning: distances in px, the edge zone is measured from the left
+const SWIPE_THRESHOLD = 60;
+const SWIPE_EDGE = 24;
+const SWIPE_INTENT_SLOP = 10;
+
+// Touches starting here belong to the content, not the menu gesture
+const SWIPE_IGNORE = 'input, textarea, select, video, [contenteditable], [data-swipe-ignore], .gallery-grid, .lightbox';
+
+// Toggle button added by initMobileMenu, removed again on destroy
+let createdToggle = null;
+
+let drawer = null;
+
+/**
+ * Initialize mobile navigation menu
+ * @param {FeatureContext} context
+ */
+function initMobileMenu({ root, signal }) {
+    // Create hamburger button if it doesn't exist
+    let navToggle = root.querySelector('.nav-toggle');
+    
+    if (!navToggle) {
+        const nav = root.querySelector('nav');
+        const logo = root.querySelector('.logo');
+        
+        if (nav && logo) {
+            navToggle = document.createElement('button');
+            navToggle.className = 'nav-toggle';
+            navToggle.setAttribute('aria-label', 'Abrir menu de navegação');
+            navToggle.dataset.i18nAttr = 'aria-label:nav.toggle';
+            navToggle.setAttribute('aria-expanded', 'false');
+            navToggle.innerHTML = `
+                <span></span>
+                <span></span>
+                <span></span>
+            `;
+            
+            nav.appendChild(navToggle);
+            applyTranslations(nav);
+            createdToggle = navToggle;
+        }
+    }
+    
+    const navLinks = root.querySelector('.nav-links');
+    
+    if (!navToggle || !navLinks) return;
+    
+    drawer = new Drawer({ toggle: navToggle, panel: navLinks });
+    
+    // Toggle menu on button click
+    navToggle.addEventListener('click', (e) => {
+        e.stopPropagation();
+        toggleMenu();
+    }, { signal });
+    
+    // Close menu when clicking on a link
+    const links = navLinks.querySelectorAll('a');
+    links.forEach(link => {
+        link.addEventListener('click', () => {
+            if (window.innerWidth < 768) {
+                closeMenu();
+            }
+        }, { signal });
+    });
+    
+    // The menu only exists on mobile
+    window.addEventListener('breakpointChange', (e) => {
+        if (e.detail.breakpoint !== 'mobile') {
+            closeMenu();
+        }
+    }, { signal });
+}
+
+/**
+ * Toggle mobile menu open/closed
+ */
+export function toggleMenu() {
+    if (drawer) drawer.toggle();
+}
+
+/**
+ * Open mobile menu
+ * Traps focus in the menu and makes the rest of the page inert
+ */
+export function openMenu() {
+    if (drawer) drawer.open();
+}
+
+/**
+ * Close mobile menu
+ */
+export function closeMenu() {
+    if (drawer) drawer.close();
+}
+
+// ============================================
+// TOUCH GESTURES FOR MOBILE
+// ============================================
+
+/**
+ * Whether a touch started somewhere that handles its own horizontal gestures
+ * @param {Element} target
+ * @returns {boolean}
+ */
+function isSwipeIgnored(target) {
+    if (!(target instanceof Element) || target.closest(SWIPE_IGNORE)) return true;
+    
+    // Horizontally scrollable regions, e.g. carousels and wide tables
+    for (let el = target; el && el !== document.body; el = el.parentElement) {
+        if (el.scrollWidth > el.clientWidth && /auto|scroll/.test(getComputedStyle(el).overflowX)) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Add swipe gesture support for mobile menu
+ * Swipe right from the left edge opens the menu, swipe left closes it.
+ * A gesture is dropped as soon as it turns out to be a vertical scroll.
+ * @param {FeatureContext} context
+ */
+function initSwipeGestures({ signal }) {
+    let swipe = null;
+    
+    document.addEventListener('touchstart', (e) => {
+        swipe = null;
+        if (e.touches.length > 1 || !isMobile() || !drawer) return;
+        
+        const touch = e.touches[0];
+        const open = drawer.isOpen;
+        
+        // Opening only counts from the screen edge, closing from anywhere
+        if (!open && touch.clientX > SWIPE_EDGE) return;
+        if (isSwipeIgnored(e.target)) return;
+        
+        swipe = { startX: touch.clientX, startY: touch.clientY, horizontal: null, open };
+    }, { passive: true, signal });
+    
+    document.addEventListener('touchmove', (e) => {
+        if (!swipe || swipe.horizontal !== null) return;
+        
+        const touch = e.touches[0];
+        const dx = Math.abs(touch.clientX - swipe.startX);
+        const dy = Math.abs(touch.clientY - swipe.startY);
+        if (dx < SWIPE_INTENT_SLOP && dy < SWIPE_INTENT_SLOP) return;
+        
+        swipe.horizontal = dx > dy;
+        if (!swipe.horizontal) swipe = null;
+    }, { passive: true, signal });
+    
+    document.addEventListener('touchend', (e) => {
+        if (!swipe || !swipe.horizontal) {
+            swipe = null;
+            return;
+        }
+        
+        const distance = e.changedTouches[0].clientX - swipe.startX;
+        
+        if (swipe.open && distance < -SWIPE_THRESHOLD) {
+            closeMenu();
+        } else if (!swipe.open && distance > SWIPE_THRESHOLD) {
+            openMenu();
+        }
+        swipe = null;
+    }, { passive: true, signal });
+    
+    document.addEventListener('touchcancel', () => {
+        swipe = null;
+    }, { passive: true, signal });
+}
+
+export default {
+    name: 'mobileMenu',
+    selector: '.nav-links',
+    init(context) {
+        initMobileMenu(context);
+        initSwipeGestures(context);
+    },
+    destroy() {
+        if (drawer) {
+            drawer.destroy();
+            drawer = null;
+        }
+        if (createdToggle) {
+            createdToggle.remove();
+            createdToggle = null;
+        }
+    }
+};
@@ -0,0 +1,165 @@
+/**
+ * Bold - Multi-layer scroll parallax
+ */
+
+import { prefersReducedMotion } from '../core/utils.js';
+import { onScroll, onResize, requestFrame } from '../core/scheduler.js';
+import { getPerformanceTier } from '../core/performance.js';
+
+const PARALLAX_AXES = ['x', 'y'];
+
+// Start tracking a little before a layer enters so it never jumps into place
+const parallaxObserverOptions = {
+    rootMargin: '100px 0px'
+};
+
+const parallaxState = {
+    layers: new Map(),
+    visible: new Set(),
+    observer: null,
+    enabled: false
+};
+
+/**
+ * Whether parallax should run right now
+ * @returns {boolean}
+ */
+function isParallaxAllowed() {
+    return !prefersReducedMotion() && getPerformanceTier() === 'full';
+}
+
+/**
+ * Read a layer's configuration from its data attributes
+ * @param {HTMLElement} element
+ * @returns {{speed: number, axis: string, offset: number}|null}
+ */
+function parseLayer(element) {
+    const speed = parseFloat(element.dataset.parallaxSpeed);
+    if (!isFinite(speed) || speed === 0) return null;
+    
+    const axis = PARALLAX_AXES.includes(element.dataset.parallaxAxis) ? element.dataset.parallaxAxis : 'y';
+    return { speed, axis, offset: 0 };
+}
+
+/**
+ * Move a layer by publishing its offset as --parallax-x / --parallax-y
+ * The CSS applies them through `translate`, leaving `transform` alone.
+ * @param {HTMLElement} element
+ * @param {Object} layer
+ * @param {number} offset - Pixels along the layer's axis
+ */
+function setLayerOffset(element, layer, offset) {
+    layer.offset = offset;
+    element.style.setProperty(`--parallax-${layer.axis}`, `${offset.toFixed(1)}px`);
+}
+
+/**
+ * Put every layer back where the stylesheet placed it
+ */
+function resetLayers() {
+    parallaxState.layers.forEach((layer, element) => {
+        layer.offset = 0;
+        element.style.removeProperty(`--parallax-${layer.axis}`);
+    });
+}
+
+/**
+ * Layers move by scroll distance times their speed, counted from the moment
+ * they start entering the viewport, so nothing shifts on page load.
+ * Negative speeds move against the scroll.
+ */
+const parallaxTask = {
+    read({ scrollY, height }) {
+        if (!isParallaxAllowed()) return null;
+        
+        return Array.from(parallaxState.visible, element => {
+            const layer = parallaxState.layers.get(element);
+            const rect = element.getBoundingClientRect();
+            
+            // Undo our own vertical offset so it does not feed back into itself
+            const top = rect.top + scrollY - (layer.axis === 'y' ? layer.offset : 0);
+            const start = Math.max(0, top - height);
+            
+            return [element, layer, (scrollY - start) * layer.speed];
+        });
+    },
+    write(offsets) {
+        if (offsets === null) {
+            if (parallaxState.enabled) resetLayers();
+            parallaxState.enabled = false;
+            return;
+        }
+        
+        parallaxState.enabled = true;
+        offsets.forEach(([element, layer, offset]) => setLayerOffset(element, layer, offset));
+    }
+};
+
+/**
+ * Track which layers are near the viewport; only those are computed
+ * @param {IntersectionObserverEntry[]} entries
+ */
+function handleParallaxIntersection(entries) {
+    entries.forEach(entry => {
+        if (entry.isIntersecting) {
+            parallaxState.visible.add(entry.target);
+        } else {
+            parallaxState.visible.delete(entry.target);
+        }
+    });
+    requestFrame('scroll');
+}
+
+/**
+ * Move layers at their own speed while the page scrolls
+ *
+ * Markup contract:
+ * - data-parallax-speed="0.3" on each layer: fraction of the scroll distance,
+ *   negative to move the other way
+ * - data-parallax-axis="x" to move sideways (defaults to "y")
+ *
+ * The stylesheet must apply var(--parallax-x) / var(--parallax-y) through
+ * `translate` (see the PARALLAX section of style.css).
+ * @param {FeatureContext} context
+ */
+function initParallax({ root, signal }) {
+    if (!('IntersectionObserver' in window)) return;
+    
+    root.querySelectorAll('[data-parallax-speed]').forEach(element => {
+        const layer = parseLayer(element);
+        if (layer) parallaxState.layers.set(element, layer);
+    });
+    if (!parallaxState.layers.size) return;
+    
+    parallaxState.observer = new IntersectionObserver(handleParallaxIntersection, parallaxObserverOptions);
+    parallaxState.layers.forEach((layer, element) => parallaxState.observer.observe(element));
+    
+    // Page height and positions change on resize too
+    onScroll(parallaxTask, { signal });
+    onResize(parallaxTask, { signal });
+    
+    // Honor a changed tier right away instead of on the next scroll
+    document.addEventListener('performancechange', () => requestFrame('scroll'), { signal });
+}
+
+/**
+ * Stop tracking and reset every layer
+ */
+function destroyParallax() {
+    if (parallaxState.observer) {
+        parallaxState.observer.disconnect();
+        parallaxState.observer = null;
+    }
+    
+    resetLayers();
+    parallaxState.layers.clear();
+    parallaxState.visible.clear();
+    parallaxState.enabled = false;
+}
+
+export default {
+    name: 'parallax',
+    selector: '[data-parallax-speed]',
+    init: initParallax,
+    destroy: destroyParallax
+};
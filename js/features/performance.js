@@ -0,0 +1,50 @@
+/**
+ * Bold - Applies the performance tier to the page and feeds the governor
+ */
+
+import { getPerformanceTier, markPerformanceActivity, pausePerformanceSampling, refreshPerformanceTier, subscribePerformance } from '../core/performance.js';
+import { onScroll } from '../core/scheduler.js';
+
+/**
+ * Expose the tier to CSS
+ * Sets data-performance on <html>, plus the older body.reduce-motion
+ * whenever effects are cut back.
+ * @param {string} tier
+ */
+function applyPerformanceTier(tier) {
+    document.documentElement.dataset.performance = tier;
+    document.body.classList.toggle('reduce-motion', tier !== 'full');
+}
+
+/**
+ * Measure frame rates only while scrolling, and never in a hidden tab
+ * @param {FeatureContext} context
+ */
+function initPerformance({ signal }) {
+    applyPerformanceTier(getPerformanceTier());
+    
+    const unsubscribe = subscribePerformance(applyPerformanceTier);
+    signal.addEventListener('abort', unsubscribe);
+    
+    onScroll(markPerformanceActivity, { signal });
+    
+    document.addEventListener('visibilitychange', () => {
+        if (document.hidden) pausePerformanceSampling();
+    }, { signal });
+    
+    // Save-Data can be switched on mid-visit
+    const connection = navigator.connection;
+    if (connection && connection.addEventListener) {
+        connection.addEventListener('change', refreshPerformanceTier, { signal });
+    }
+}
+
+export default {
+    name: 'performance',
+    init: initPerformance,
+    destroy() {
+        pausePerformanceSampling();
+        delete document.documentElement.dataset.performance;
+        document.body.classList.remove('reduce-motion');
+    }
+};
@@ -0,0 +1,75 @@
+/**
+ * Bold - Viewport height fix and breakpoint/orientation changes
+ */
+
+import { getCurrentBreakpoint } from '../core/viewport.js';
+import { onResize, requestFrame } from '../core/scheduler.js';
+import { closeMenu } from './mobile-menu.js';
+
+// ============================================
+// BREAKPOINTS
+// ============================================
+
+const viewportState = {
+    breakpoint: null,
+    landscape: null
+};
+
+/**
+ * React to real breakpoint and orientation transitions only
+ * Resizes inside a breakpoint, like the mobile URL bar collapsing, are ignored.
+ */
+const viewportTask = {
+    read: ({ width, height }) => ({
+        breakpoint: getCurrentBreakpoint(),
+        landscape: width > height,
+        vh: height * 0.01
+    }),
+    write({ breakpoint, landscape, vh }) {
+        setMobileViewportHeight(vh);
+        
+        const previous = viewportState.breakpoint;
+        const rotated = viewportState.landscape !== null && landscape !== viewportState.landscape;
+        viewportState.breakpoint = breakpoint;
+        viewportState.landscape = landscape;
+        
+        // Close mobile menu on orientation change
+        if (rotated && breakpoint === 'mobile') {
+            closeMenu();
+        }
+        
+        // The first pass only records the starting breakpoint
+        if (previous === null || previous === breakpoint) return;
+        
+        // Trigger custom event for other scripts to listen to
+        window.dispatchEvent(new CustomEvent('breakpointChange', {
+            detail: { breakpoint, previous }
+        }));
+    }
+};
+
+// ============================================
+// VIEWPORT HEIGHT FIX FOR MOBILE
+// ============================================
+
+/**
+ * Fix viewport height on mobile browsers
+ * Mobile browsers have dynamic URL bars that affect viewport height
+ * @param {number} vh - 1% of the actual viewport height
+ */
+function setMobileViewportHeight(vh) {
+    document.documentElement.style.setProperty('--vh', `${vh}px`);
+}
+
+export default {
+    name: 'responsive',
+    init({ signal }) {
+        // Viewport height fix, breakpoint and orientation changes
+        onResize(viewportTask, { signal });
+        requestFrame('resize');
+    },
+    destroy() {
+        document.documentElement.style.removeProperty('--vh');
+        Object.assign(viewportState, { breakpoint: null, landscape: null });
+    }
+};
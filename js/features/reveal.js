@@ -0,0 +1,117 @@
+/**
+ * Bold - Scroll-reveal animations
+ */
+
+import { prefersReducedMotion } from '../core/utils.js';
+
+const REVEAL_EFFECTS = ['fade', 'fade-up', 'fade-down', 'fade-left', 'fade-right', 'zoom'];
+
+const revealOptions = {
+    threshold: 0.15,
+    rootMargin: '0px 0px -40px 0px'
+};
+
+let revealObserver = null;
+
+/**
+ * Read a millisecond value from a data attribute
+ * @param {HTMLElement} element
+ * @param {string} key - dataset key
+ * @returns {number}
+ */
+function readDelay(element, key) {
+    const value = parseInt(element.dataset[key], 10);
+    return value > 0 ? value : 0;
+}
+
+/**
+ * Reveal the elements that scrolled into view together
+ * Items sharing a [data-reveal-stagger] container enter one after another,
+ * counting only the ones revealed in this batch.
+ * @param {IntersectionObserverEntry[]} entries
+ * @param {IntersectionObserver} observer
+ */
+function handleRevealIntersection(entries, observer) {
+    const batches = new Map();
+    
+    entries.forEach(entry => {
+        if (!entry.isIntersecting) return;
+        
+        const element = entry.target;
+        const container = element.parentElement.closest('[data-reveal-stagger]');
+        const batch = batches.get(container) || [];
+        batch.push(element);
+        batches.set(container, batch);
+        
+        observer.unobserve(element);
+    });
+    
+    batches.forEach((elements, container) => {
+        const stagger = container ? readDelay(container, 'revealStagger') : 0;
+        
+        elements.forEach((element, index) => {
+            const delay = readDelay(element, 'revealDelay') + index * stagger;
+            element.style.setProperty('--reveal-delay', `${delay}ms`);
+            element.classList.add('is-revealed');
+        });
+    });
+}
+
+/**
+ * Start watching [data-reveal] elements, e.g. after rendering new content
+ * Does nothing while the reveal feature is off, so content stays visible.
+ * @param {Document|Element} [root]
+ */
+export function observeReveals(root = document) {
+    if (!revealObserver) return;
+    
+    root.querySelectorAll('[data-reveal]:not(.is-revealed)').forEach(element => {
+        if (!REVEAL_EFFECTS.includes(element.dataset.reveal)) {
+            element.dataset.reveal = 'fade-up';
+        }
+        revealObserver.observe(element);
+    });
+}
+
+/**
+ * Fade sections in as they scroll into view
+ *
+ * Markup contract:
+ * - data-reveal="fade-up" on an element (also fade, fade-down, fade-left, fade-right, zoom)
+ * - data-reveal-delay="200" to wait before it starts, in ms
+ * - data-reveal-stagger="100" on a container to chain the items inside it
+ *
+ * Content is only hidden once body.reveal-ready is set, so it stays visible
+ * without JavaScript, with reduced motion and under body.reduce-motion.
+ * @param {FeatureContext} context
+ */
+function initReveal({ root }) {
+    if (prefersReducedMotion() || !('IntersectionObserver' in window)) return;
+    
+    revealObserver = new IntersectionObserver(handleRevealIntersection, revealOptions);
+    document.body.classList.add('reveal-ready');
+    observeReveals(root);
+}
+
+/**
+ * Stop observing and show everything
+ */
+function destroyReveal() {
+    if (revealObserver) {
+        revealObserver.disconnect();
+        revealObserver = null;
+    }
+    
+    document.body.classList.remove('reveal-ready');
+    document.querySelectorAll('[data-reveal]').forEach(element => {
+        element.classList.remove('is-revealed');
+        element.style.removeProperty('--reveal-delay');
+    });
+}
+
+export default {
+    name: 'reveal',
+    selector: '[data-reveal]',
+    init: initReveal,
+    destroy: destroyReveal
+};
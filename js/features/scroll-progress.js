@@ -0,0 +1,33 @@
+/**
+ * Bold - Reading progress bar
+ */
+
+import { onScroll, onResize, requestFrame } from '../core/scheduler.js';
+import { getScrollPercentage } from '../core/viewport.js';
+
+let progressBar = null;
+
+// Page height changes on resize too, so the same task runs for both
+const progressTask = {
+    read: () => getScrollPercentage(),
+    write(percentage) {
+        progressBar.style.width = percentage + '%';
+    }
+};
+
+export default {
+    name: 'scrollProgress',
+    selector: '.scroll-progress',
+    init({ root, signal }) {
+        progressBar = root.querySelector('.scroll-progress');
+        onScroll(progressTask, { signal });
+        onResize(progressTask, { signal });
+        requestFrame('scroll');
+    },
+    destroy() {
+        if (progressBar) {
+            progressBar.style.width = '';
+            progressBar = null;
+        }
+    }
+};
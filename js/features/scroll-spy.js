@@ -0,0 +1,143 @@
+/**
+ * Bold - Highlights the nav link of the section in view
+ */
+
+import { debounce } from '../core/utils.js';
+import { getScrollPercentage, getNavHeight } from '../core/viewport.js';
+import { onScroll, onResize } from '../core/scheduler.js';
+
+const spyState = {
+    observer: null,
+    links: new Map(),
+    visible: new Set(),
+    active: null,
+    ready: false
+};
+
+/**
+ * Mark the nav link for a section as the current location
+ * @param {string} id - Section ID
+ */
+function setActiveSection(id) {
+    if (id === spyState.active) return;
+    spyState.active = id;
+    
+    spyState.links.forEach((link, sectionId) => {
+        const isActive = sectionId === id;
+        link.classList.toggle('active', isActive);
+        if (isActive) {
+            link.setAttribute('aria-current', 'location');
+        } else {
+            link.removeAttribute('aria-current');
+        }
+    });
+    
+    // Reflect the section in the URL without scrolling or adding history entries;
+    // the initial pass leaves the URL the visitor arrived with untouched
+    if (spyState.ready && history.replaceState && window.location.hash !== `#${id}`) {
+        const url = new URL(window.location.href);
+        url.hash = id;
+        history.replaceState(history.state, '', url.pathname + url.search + url.hash);
+    }
+}
+
+/**
+ * Pick the section under the activation line just below the nav
+ * The last section wins at the bottom of the page, where it may never reach the line
+ * @param {boolean} [atBottom] - Scrolled to the end, measured by the caller
+ */
+function updateActiveSection(atBottom = getScrollPercentage() >= 99.5) {
+    const ids = Array.from(spyState.links.keys());
+    
+    let id = ids.filter(sectionId => spyState.visible.has(sectionId)).pop();
+    if (atBottom) {
+        id = ids[ids.length - 1];
+    }
+    
+    if (id) setActiveSection(id);
+}
+
+const activeSectionTask = {
+    read: () => getScrollPercentage() >= 99.5,
+    write: updateActiveSection
+};
+
+/**
+ * Observe the sections with a 1px band at the same offset initSmoothScroll scrolls to
+ */
+function observeSections() {
+    if (spyState.observer) spyState.observer.disconnect();
+    spyState.visible.clear();
+    
+    const offset = getNavHeight() + 20;
+    const bottom = Math.max(0, window.innerHeight - offset - 1);
+    
+    spyState.observer = new IntersectionObserver((entries) => {
+        entries.forEach(entry => {
+            if (entry.isIntersecting) {
+                spyState.visible.add(entry.target.id);
+            } else {
+                spyState.visible.delete(entry.target.id);
+            }
+        });
+        updateActiveSection();
+        spyState.ready = true;
+    }, { rootMargin: `-${offset}px 0px -${bottom}px 0px` });
+    
+    spyState.links.forEach((link, id) => {
+        spyState.observer.observe(document.getElementById(id));
+    });
+}
+
+/**
+ * Highlight the nav link of the section in view, on desktop and in the mobile menu
+ * @param {FeatureContext} context
+ */
+function initScrollSpy({ root, signal }) {
+    if (!('IntersectionObserver' in window)) return;
+    
+    root.querySelectorAll('.nav-links a[href^="#"]').forEach(link => {
+        const id = link.getAttribute('href').slice(1);
+        if (id && document.getElementById(id)) {
+            spyState.links.set(id, link);
+        }
+    });
+    if (!spyState.links.size) return;
+    
+    observeSections();
+    
+    // The band depends on the viewport and nav heights; a resize just before
+    // destroy must not observe again once the feature is gone
+    onResize(debounce(() => {
+        if (!signal.aborted) observeSections();
+    }, 200), { signal });
+    
+    // The observer does not fire once the last section stops moving at the page end
+    onScroll(activeSectionTask, { signal });
+}
+
+/**
+ * Stop observing and clear the highlighted link
+ */
+function destroyScrollSpy() {
+    if (spyState.observer) {
+        spyState.observer.disconnect();
+        spyState.observer = null;
+    }
+    
+    spyState.links.forEach(link => {
+        link.classList.remove('active');
+        link.removeAttribute('aria-current');
+    });
+    spyState.links.clear();
+    spyState.visible.clear();
+    spyState.active = null;
+    spyState.ready = false;
+}
+
+export default {
+    name: 'scrollSpy',
+    selector: '.nav-links a[href^="#"]',
+    init: initScrollSpy,
+    destroy: destroyScrollSpy
+};
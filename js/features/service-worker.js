@@ -0,0 +1,93 @@
+/**
+ * Bold - Service worker registration and update prompt
+ */
+
+import { applyTranslations } from '../core/i18n.js';
+
+const SERVICE_WORKER_URL = 'sw.js';
+
+/**
+ * Show the "new version available" prompt for a waiting worker
+ * Reloading asks the worker to activate; the page refreshes once it controls it
+ * @param {ServiceWorker} worker - The installed, waiting worker
+ */
+function showUpdatePrompt(worker) {
+    let prompt = document.querySelector('.update-prompt');
+    
+    if (!prompt) {
+        prompt = document.createElement('div');
+        prompt.className = 'update-prompt';
+        prompt.setAttribute('role', 'status');
+        prompt.innerHTML = `
+            <p data-i18n="update.available"></p>
+            <div class="update-prompt-actions">
+                <button type="button" class="update-prompt-dismiss" data-i18n="update.dismiss"></button>
+                <button type="button" class="update-prompt-reload" data-i18n="update.reload"></button>
+            </div>
+        `;
+        document.body.appendChild(prompt);
+        applyTranslations(prompt);
+        
+        prompt.querySelector('.update-prompt-dismiss').addEventListener('click', () => {
+            prompt.hidden = true;
+        });
+    }
+    
+    prompt.querySelector('.update-prompt-reload').onclick = () => {
+        prompt.querySelector('.update-prompt-reload').disabled = true;
+        worker.postMessage({ type: 'SKIP_WAITING' });
+    };
+    prompt.hidden = false;
+}
+
+/**
+ * Watch a registration for a new worker that finishes installing
+ * while an older one still controls the page
+ * @param {ServiceWorkerRegistration} registration
+ */
+function watchForUpdates(registration) {
+    if (registration.waiting && navigator.serviceWorker.controller) {
+        showUpdatePrompt(registration.waiting);
+    }
+    
+    registration.addEventListener('updatefound', () => {
+        const worker = registration.installing;
+        if (!worker) return;
+        
+        worker.addEventListener('statechange', () => {
+            if (worker.state === 'installed' && navigator.serviceWorker.controller) {
+                showUpdatePrompt(worker);
+            }
+        });
+    });
+}
+
+/**
+ * Register the service worker for offline support and install prompts
+ * Only on secure origins (https or localhost), where browsers allow it
+ * @param {FeatureContext} context
+ * @returns {Promise<void>}
+ */
+async function initServiceWorker({ signal }) {
+    if (!('serviceWorker' in navigator) || !window.isSecureContext) return;
+    
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        // The first install also claims the page; only reload on updates
+        if (reloading || !document.querySelector('.update-prompt')) return;
+        reloading = true;
+        window.location.reload();
+    }, { signal });
+    
+    try {
+        const registration = await navigator.serviceWorker.register(SERVICE_WORKER_URL);
+        watchForUpdates(registration);
+    } catch (e) {
+        console.warn('Service worker registration failed:', e);
+    }
+}
+
+export default {
+    name: 'serviceWorker',
+    init: initServiceWorker
+};
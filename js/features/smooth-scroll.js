@@ -0,0 +1,66 @@
+/**
+ * Bold - Smooth scrolling for in-page links
+ */
+
+import { prefersReducedMotion } from '../core/utils.js';
+import { isMobile, getNavHeight } from '../core/viewport.js';
+import { closeMenu } from './mobile-menu.js';
+
+/**
+ * Initialize smooth scroll for navigation links
+ * Accounts for fixed header height
+ * @param {FeatureContext} context
+ */
+function initSmoothScroll({ root, signal }) {
+    // Handle all anchor links
+    root.querySelectorAll('a[href^="#"]').forEach(anchor => {
+        anchor.addEventListener('click', function (e) {
+            const href = this.getAttribute('href');
+            
+            // Don't prevent default for # alone
+            if (href === '#') return;
+            
+            e.preventDefault();
+            const target = document.querySelector(href);
+            
+            if (target) {
+                // Calculate position with header offset
+                const headerHeight = getNavHeight();
+                const targetPosition = target.getBoundingClientRect().top + window.pageYOffset;
+                const offsetPosition = targetPosition - headerHeight - 20; // 20px extra padding
+                
+                // Respect user's motion preferences
+                const behavior = prefersReducedMotion() ? 'auto' : 'smooth';
+                
+                // Smooth scroll to position
+                window.scrollTo({
+                    top: offsetPosition,
+                    behavior: behavior
+                });
+                
+                // Close mobile menu if open
+                if (isMobile()) {
+                    setTimeout(() => closeMenu(), 300);
+                }
+                
+                // Update URL without jumping
+                if (history.pushState) {
+                    history.pushState(history.state, '', href);
+                }
+                
+                // Set focus for accessibility (after scroll completes)
+                setTimeout(() => {
+                    target.setAttribute('tabindex', '-1');
+                    target.focus({ preventScroll: true });
+                    target.removeAttribute('tabindex');
+                }, behavior === 'smooth' ? 800 : 0);
+            }
+        }, { signal });
+    });
+}
+
+export default {
+    name: 'smoothScroll',
+    selector: 'a[href^="#"]',
+    init: initSmoothScroll
+};
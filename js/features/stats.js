@@ -0,0 +1,229 @@
+/**
+ * Bold - Animated stats counters
+ */
+
+import { formatNumber } from '../core/i18n.js';
+import { prefersReducedMotion } from '../core/utils.js';
+import { getPerformanceTier, markPerformanceActivity } from '../core/performance.js';
+
+const observerOptions = {
+    threshold: 0.5,
+    rootMargin: '0px'
+};
+
+const COUNTER_DEFAULT_DURATION = 2000;
+
+// Pending animation frame per counter, so a re-trigger cancels the old run
+const counterFrames = new WeakMap();
+
+let statsObserver = null;
+let statsCounters = [];
+
+/**
+ * Start counters as they come into view
+ * @param {IntersectionObserverEntry[]} entries
+ * @param {IntersectionObserver} observer
+ */
+function handleStatsIntersection(entries, observer) {
+    entries.forEach(entry => {
+        const statNumber = entry.target;
+        const repeat = Boolean(statNumber.closest('[data-count-repeat]'));
+        
+        if (entry.isIntersecting) {
+            animateNumber(statNumber);
+            if (!repeat) {
+                observer.unobserve(statNumber);
+            }
+        } else if (repeat) {
+            // Start from zero again next time the stats come into view
+            resetCounter(statNumber);
+        }
+    });
+}
+
+/**
+ * Read the counter configuration from an element's data attributes
+ *
+ * - data-count-to: target value (required, plain number such as "15000" or "1.5")
+ * - data-prefix / data-suffix: text around the number, e.g. "R$ " or "+"
+ * - data-decimals: fraction digits (defaults to those in data-count-to)
+ * - data-duration: animation length in ms
+ *
+ * @param {HTMLElement} element - Counter element
+ * @returns {Object|null} Counter config, or null when there is no numeric target
+ */
+export function parseCounter(element) {
+    const raw = (element.dataset.countTo || '').trim();
+    const target = Number(raw);
+    if (!raw || !isFinite(target)) return null;
+    
+    const decimals = parseInt(element.dataset.decimals, 10);
+    const duration = parseInt(element.dataset.duration, 10);
+    
+    return {
+        target,
+        prefix: element.dataset.prefix || '',
+        suffix: element.dataset.suffix || '',
+        decimals: decimals >= 0 ? decimals : (raw.split('.')[1] || '').length,
+        duration: duration >= 0 ? duration : COUNTER_DEFAULT_DURATION
+    };
+}
+
+/**
+ * Format a counter value with its prefix, suffix and fraction digits
+ * @param {number} value
+ * @param {Object} counter - Config from parseCounter
+ * @returns {string}
+ */
+function formatCounter(value, counter) {
+    const number = formatNumber(value, {
+        minimumFractionDigits: counter.decimals,
+        maximumFractionDigits: counter.decimals
+    });
+    return counter.prefix + number + counter.suffix;
+}
+
+/**
+ * Ease-out cubic: fast start, gentle landing
+ * @param {number} progress - 0 to 1
+ * @returns {number}
+ */
+function easeOutCubic(progress) {
+    return 1 - Math.pow(1 - progress, 3);
+}
+
+/**
+ * Split a counter into a visual part that animates and a screen reader
+ * part that always holds the final value, so nothing reads mid-count
+ * @param {HTMLElement} element - Counter element
+ * @returns {{visual: HTMLElement, label: HTMLElement}}
+ */
+function getCounterParts(element) {
+    let visual = element.querySelector('.stat-count');
+    let label = element.querySelector('.sr-only');
+    
+    if (!visual || !label) {
+        element.textContent = '';
+        visual = document.createElement('span');
+        visual.className = 'stat-count';
+        visual.setAttribute('aria-hidden', 'true');
+        label = document.createElement('span');
+        label.className = 'sr-only';
+        element.append(visual, label);
+    }
+    
+    return { visual, label };
+}
+
+/**
+ * Show a counter's final value without animating
+ * @param {HTMLElement} element - Counter element
+ */
+function renderCounter(element) {
+    const counter = parseCounter(element);
+    if (!counter) return;
+    
+    const { visual, label } = getCounterParts(element);
+    const finalText = formatCounter(counter.target, counter);
+    visual.textContent = finalText;
+    label.textContent = finalText;
+}
+
+/**
+ * Put a counter back to zero, ready to animate again
+ * @param {HTMLElement} element - Counter element
+ */
+function resetCounter(element) {
+    const counter = parseCounter(element);
+    if (!counter || prefersReducedMotion() || getPerformanceTier() === 'minimal') return;
+    
+    cancelAnimationFrame(counterFrames.get(element));
+    getCounterParts(element).visual.textContent = formatCounter(0, counter);
+}
+
+/**
+ * Animate a number counting up to its data-count-to value
+ * Elements without a numeric target (e.g. "Milhões") are left untouched
+ * @param {HTMLElement} element - Element containing the number
+ */
+export function animateNumber(element) {
+    const counter = parseCounter(element);
+    if (!counter) return;
+    
+    cancelAnimationFrame(counterFrames.get(element));
+    renderCounter(element);
+    
+    const tier = getPerformanceTier();
+    if (prefersReducedMotion() || tier === 'minimal' || counter.duration === 0) return;
+    
+    // Shorter counts on devices the governor has cut back
+    const duration = tier === 'reduced' ? counter.duration / 2 : counter.duration;
+    const { visual } = getCounterParts(element);
+    let start = null;
+    
+    // Time based, so throttled devices finish on time instead of running slow
+    const animate = (timestamp) => {
+        if (start === null) start = timestamp;
+        const progress = Math.min((timestamp - start) / duration, 1);
+        
+        markPerformanceActivity();
+        visual.textContent = formatCounter(counter.target * easeOutCubic(progress), counter);
+        
+        if (progress < 1) {
+            counterFrames.set(element, requestAnimationFrame(animate));
+        } else {
+            counterFrames.delete(element);
+        }
+    };
+    
+    visual.textContent = formatCounter(0, counter);
+    counterFrames.set(element, requestAnimationFrame(animate));
+}
+
+/**
+ * Initialize stats number observers
+ * @param {FeatureContext} context
+ */
+function initStatsAnimation({ root, signal }) {
+    statsObserver = new IntersectionObserver(handleStatsIntersection, observerOptions);
+    
+    const counters = root.querySelectorAll('[data-count-to]');
+    statsCounters = Array.from(counters);
+    counters.forEach(counter => {
+        renderCounter(counter);
+        statsObserver.observe(counter);
+    });
+    
+    // Final values are re-rendered in the new number format
+    document.addEventListener('localechange', () => {
+        counters.forEach(counter => {
+            if (!counterFrames.has(counter)) {
+                renderCounter(counter);
+            }
+        });
+    }, { signal });
+}
+
+/**
+ * Stop observing and settle running counters on their final value
+ */
+function destroyStatsAnimation() {
+    if (statsObserver) {
+        statsObserver.disconnect();
+        statsObserver = null;
+    }
+    
+    statsCounters.forEach(counter => {
+        cancelAnimationFrame(counterFrames.get(counter));
+        counterFrames.delete(counter);
+        renderCounter(counter);
+    });
+    statsCounters = [];
+}
+
+export default {
+    name: 'stats',
+    selector: '[data-count-to]',
+    init: initStatsAnimation,
+    destroy: destroyStatsAnimation
+};
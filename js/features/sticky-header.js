@@ -0,0 +1,127 @@
+/**
+ * Bold - Condenses and hides the nav on scroll, publishes --nav-height
+ */
+
+import { prefersReducedMotion } from '../core/utils.js';
+import { onScroll, onResize } from '../core/scheduler.js';
+
+// Scroll distance that counts as a change of direction, to ignore jitter
+const HEADER_SCROLL_THRESHOLD = 8;
+
+const headerState = {
+    nav: null,
+    lastY: 0,
+    resizeObserver: null,
+    heroObserver: null
+};
+
+/**
+ * Publish the nav height as --nav-height for CSS and scroll offsets
+ */
+function updateNavHeight() {
+    if (!headerState.nav) return;
+    publishNavHeight(headerState.nav.offsetHeight);
+}
+
+/**
+ * @param {number} height - Nav height in pixels
+ */
+function publishNavHeight(height) {
+    document.documentElement.style.setProperty('--nav-height', `${height}px`);
+}
+
+/**
+ * Whether the bar may slide out of view
+ * Never while the mobile menu is open or when motion is reduced
+ * @returns {boolean}
+ */
+function canHideHeader() {
+    return !document.body.classList.contains('menu-open') &&
+        !prefersReducedMotion() &&
+        !headerState.nav.contains(document.activeElement);
+}
+
+/**
+ * Hide the bar on scroll down and reveal it on scroll up
+ */
+const headerVisibilityTask = {
+    read({ scrollY }) {
+        const delta = scrollY - headerState.lastY;
+        if (Math.abs(delta) < HEADER_SCROLL_THRESHOLD) return null;
+        
+        headerState.lastY = scrollY;
+        return delta > 0 && scrollY > headerState.nav.offsetHeight && canHideHeader();
+    },
+    write(hide) {
+        if (hide === null) return;
+        headerState.nav.classList.toggle('is-hidden', hide);
+    }
+};
+
+// Only used where ResizeObserver is missing
+const navHeightTask = {
+    read: () => headerState.nav.offsetHeight,
+    write: publishNavHeight
+};
+
+/**
+ * Reveal the bar, e.g. when keyboard focus moves into it
+ */
+function showHeader() {
+    headerState.nav.classList.remove('is-hidden');
+}
+
+/**
+ * Condense the nav past the hero and hide it while scrolling down
+ *
+ * Markup contract: a fixed <nav> and, optionally, a `.hero` it condenses after.
+ * Sets `.is-condensed` and `.is-hidden` on the nav and --nav-height on <html>.
+ * @param {FeatureContext} context
+ */
+function initStickyHeader({ root, signal }) {
+    const nav = root.querySelector('nav');
+    
+    headerState.nav = nav;
+    headerState.lastY = window.pageYOffset;
+    
+    updateNavHeight();
+    if ('ResizeObserver' in window) {
+        headerState.resizeObserver = new ResizeObserver(updateNavHeight);
+        headerState.resizeObserver.observe(nav);
+    } else {
+        onResize(navHeightTask, { signal });
+    }
+    
+    const hero = root.querySelector('.hero');
+    if (hero && 'IntersectionObserver' in window) {
+        // Condensed once the hero has fully passed under the bar
+        headerState.heroObserver = new IntersectionObserver(([entry]) => {
+            nav.classList.toggle('is-condensed', !entry.isIntersecting);
+        }, { rootMargin: `-${nav.offsetHeight}px 0px 0px 0px` });
+        headerState.heroObserver.observe(hero);
+    }
+    
+    onScroll(headerVisibilityTask, { signal });
+    
+    nav.addEventListener('focusin', showHeader, { signal });
+}
+
+/**
+ * Stop observing and return the nav to its resting state
+ */
+function destroyStickyHeader() {
+    if (headerState.resizeObserver) headerState.resizeObserver.disconnect();
+    if (headerState.heroObserver) headerState.heroObserver.disconnect();
+    
+    if (headerState.nav) headerState.nav.classList.remove('is-condensed', 'is-hidden');
+    document.documentElement.style.removeProperty('--nav-height');
+    
+    Object.assign(headerState, { nav: null, resizeObserver: null, heroObserver: null });
+}
+
+export default {
+    name: 'stickyHeader',
+    selector: 'nav',
+    init: initStickyHeader,
+    destroy: destroyStickyHeader
+};
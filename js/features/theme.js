@@ -0,0 +1,105 @@
+/**
+ * Bold - Light/dark theme toggle
+ */
+
+import { saveToStorage, getFromStorage } from '../core/storage.js';
+
+const THEMES = ['light', 'dark'];
+const DARK_SCHEME_QUERY = '(prefers-color-scheme: dark)';
+
+// The visitor's manual choice, also kept here because storage needs consent
+const themeState = {
+    override: null
+};
+
+/**
+ * Get the theme the operating system asks for
+ * @returns {string} 'light' or 'dark'
+ */
+function getSystemTheme() {
+    return window.matchMedia(DARK_SCHEME_QUERY).matches ? 'dark' : 'light';
+}
+
+/**
+ * Get the theme the visitor picked on an earlier visit, if any
+ * @returns {string|null}
+ */
+function getStoredTheme() {
+    const theme = getFromStorage('theme');
+    return THEMES.includes(theme) ? theme : null;
+}
+
+/**
+ * Get the theme currently applied to the page
+ * @returns {string}
+ */
+export function getTheme() {
+    return document.documentElement.dataset.theme || getSystemTheme();
+}
+
+/**
+ * Apply a theme to the page, the browser UI color and the nav toggle
+ * @param {string} theme - 'light' or 'dark'
+ */
+function applyTheme(theme) {
+    const previous = document.documentElement.dataset.theme;
+    document.documentElement.dataset.theme = theme;
+    
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta && meta.dataset[theme]) {
+        meta.content = meta.dataset[theme];
+    }
+    
+    document.querySelectorAll('[data-theme-toggle]').forEach(toggle => {
+        toggle.setAttribute('aria-pressed', String(theme === 'dark'));
+    });
+    
+    if (previous !== theme) {
+        document.dispatchEvent(new CustomEvent('themechange', {
+            detail: { theme, previous }
+        }));
+    }
+}
+
+/**
+ * Override the theme, or pass null to follow the system again
+ * @param {string|null} theme - 'light', 'dark' or null
+ */
+export function setTheme(theme) {
+    const override = THEMES.includes(theme) ? theme : null;
+    themeState.override = override;
+    saveToStorage('theme', override);
+    applyTheme(override || getSystemTheme());
+}
+
+/**
+ * Switch between light and dark, remembering the choice
+ */
+export function toggleTheme() {
+    setTheme(getTheme() === 'dark' ? 'light' : 'dark');
+}
+
+/**
+ * Sync the theme set by theme-init.js, bind the nav toggle and
+ * follow system changes until the visitor picks a theme
+ * @param {FeatureContext} context
+ */
+function initTheme({ root, signal }) {
+    themeState.override = themeState.override || getStoredTheme();
+    applyTheme(themeState.override || getSystemTheme());
+    
+    root.querySelectorAll('[data-theme-toggle]').forEach(toggle => {
+        toggle.addEventListener('click', toggleTheme, { signal });
+    });
+    
+    window.matchMedia(DARK_SCHEME_QUERY).addEventListener('change', () => {
+        if (!themeState.override) {
+            applyTheme(getSystemTheme());
+        }
+    }, { signal });
+}
+
+export default {
+    name: 'theme',
+    init: initTheme
+};
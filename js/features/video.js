@@ -0,0 +1,564 @@
+/**
+ * Bold - Custom video player controls, captions and chapters
+ */
+
+import { DEFAULT_LANGUAGE, getLocale, t } from '../core/i18n.js';
+import { saveToStorage, getFromStorage } from '../core/storage.js';
+import { throttle } from '../core/utils.js';
+
+const VIDEO_SEEK_STEP = 5;
+const VIDEO_VOLUME_STEP = 0.1;
+
+// Positions closer than this to either end are not worth resuming from
+const VIDEO_RESUME_MARGIN = 5;
+
+/**
+ * Toggle video overlay visibility
+ * @param {boolean} show - Whether to show the overlay
+ * @param {HTMLElement} overlay - The overlay element
+ */
+function toggleVideoOverlay(show, overlay) {
+    if (!overlay) return;
+    
+    overlay.style.opacity = show ? '1' : '0';
+    overlay.style.pointerEvents = show ? 'auto' : 'none';
+}
+
+/**
+ * Format seconds as m:ss
+ * @param {number} seconds
+ * @returns {string}
+ */
+function formatVideoTime(seconds) {
+    const total = Math.max(0, Math.floor(seconds || 0));
+    const minutes = Math.floor(total / 60);
+    return `${minutes}:${String(total % 60).padStart(2, '0')}`;
+}
+
+/**
+ * Pick the text track for the active language, falling back to pt-BR
+ * @param {HTMLVideoElement} video
+ * @param {string[]} kinds - Track kinds to consider
+ * @returns {TextTrack|null}
+ */
+function getVideoTrack(video, kinds) {
+    const tracks = Array.from(video.textTracks || []).filter(track => kinds.includes(track.kind));
+    return tracks.find(track => track.language === getLocale()) ||
+        tracks.find(track => track.language === DEFAULT_LANGUAGE) ||
+        tracks[0] ||
+        null;
+}
+
+/**
+ * Custom controls for the "Conheça a Bold" video
+ *
+ * Markup contract:
+ * - [data-video-player] on the frame holding the <video> and .video-overlay
+ * - <track kind="captions|subtitles|chapters" srclang="..."> on the video
+ * - [data-video-chapters] (optional) with an <ol> for the chapter list
+ *
+ * Native controls stay on until the player takes over, so the video
+ * still works without JavaScript.
+ */
+class VideoPlayer {
+    /**
+     * @param {HTMLElement} frame - Element with [data-video-player]
+     * @param {ParentNode} root - Root the feature was initialized under
+     */
+    constructor(frame, root) {
+        this.frame = frame;
+        this.video = frame.querySelector('video');
+        this.overlay = frame.querySelector('.video-overlay');
+        this.playButton = frame.querySelector('.play-button');
+        this.chaptersNav = root.querySelector('[data-video-chapters]');
+        this.captionsOn = false;
+        this.chapters = [];
+        this.storageKey = 'videoProgress';
+
+        this.handleKeydown = this.handleKeydown.bind(this);
+        this.events = new AbortController();
+        this.saveProgress = throttle(this.saveProgress.bind(this), 2000);
+
+        this.video.controls = false;
+        this.controls = this.build();
+        this.bindEvents();
+        this.checkPoster();
+        this.setupTracks();
+        this.updateAll();
+
+        // The <source> may have failed before the listeners were attached
+        if (this.video.error || this.video.networkState === HTMLMediaElement.NETWORK_NO_SOURCE) {
+            this.showFallback();
+        }
+    }
+
+    /**
+     * Create the control bar (styled by the VIDEO PLAYER section of style.css)
+     * @returns {HTMLElement}
+     */
+    build() {
+        const controls = document.createElement('div');
+        controls.className = 'video-controls';
+        controls.innerHTML = `
+            <button type="button" class="video-btn video-toggle"><span aria-hidden="true"></span></button>
+            <div class="video-progress">
+                <input type="range" class="video-seek" min="0" max="0" step="0.1" value="0">
+                <div class="video-markers" aria-hidden="true"></div>
+            </div>
+            <span class="video-time" aria-hidden="true">0:00 / 0:00</span>
+            <button type="button" class="video-btn video-mute"><span aria-hidden="true"></span></button>
+            <button type="button" class="video-btn video-captions" aria-pressed="false" hidden><span aria-hidden="true">CC</span></button>
+            <button type="button" class="video-btn video-fullscreen"><span aria-hidden="true">⛶</span></button>
+        `;
+        this.frame.appendChild(controls);
+
+        this.toggleBtn = controls.querySelector('.video-toggle');
+        this.seek = controls.querySelector('.video-seek');
+        this.markers = controls.querySelector('.video-markers');
+        this.time = controls.querySelector('.video-time');
+        this.muteBtn = controls.querySelector('.video-mute');
+        this.captionsBtn = controls.querySelector('.video-captions');
+        this.fullscreenBtn = controls.querySelector('.video-fullscreen');
+
+        return controls;
+    }
+
+    bindEvents() {
+        const { video } = this;
+        const { signal } = this.events;
+
+        if (this.playButton) {
+            this.playButton.addEventListener('click', () => this.play(), { signal });
+        }
+        this.toggleBtn.addEventListener('click', () => this.togglePlay(), { signal });
+        this.muteBtn.addEventListener('click', () => this.toggleMute(), { signal });
+        this.captionsBtn.addEventListener('click', () => this.toggleCaptions(), { signal });
+        this.fullscreenBtn.addEventListener('click', () => this.toggleFullscreen(), { signal });
+        this.seek.addEventListener('input', () => {
+            video.currentTime = Number(this.seek.value);
+        }, { signal });
+
+        video.addEventListener('click', () => this.togglePlay(), { signal });
+        video.addEventListener('play', () => {
+            this.frame.classList.add('is-started');
+            toggleVideoOverlay(false, this.overlay);
+            this.updateAll();
+        }, { signal });
+        video.addEventListener('pause', () => this.updateAll(), { signal });
+        video.addEventListener('volumechange', () => this.updateAll(), { signal });
+        video.addEventListener('loadedmetadata', () => {
+            this.resume();
+            this.renderChapters();
+            this.updateAll();
+        }, { signal });
+        video.addEventListener('timeupdate', () => {
+            this.updateProgress();
+            this.saveProgress();
+        }, { signal });
+        video.addEventListener('ended', () => {
+            toggleVideoOverlay(true, this.overlay);
+            video.currentTime = 0; // Reset to beginning
+            this.clearProgress();
+            this.updateAll();
+        }, { signal });
+
+        // A missing file fails on the <source>, not on the <video>
+        const sources = video.querySelectorAll('source');
+        const lastSource = sources[sources.length - 1];
+        (lastSource || video).addEventListener('error', () => this.showFallback(), { signal });
+        video.addEventListener('error', () => this.showFallback(), { signal });
+
+        this.frame.addEventListener('keydown', this.handleKeydown, { signal });
+        document.addEventListener('fullscreenchange', () => this.updateAll(), { signal });
+        document.addEventListener('localechange', () => {
+            this.switchTracks();
+            this.updateAll();
+        }, { signal });
+
+        // Stop playing once the section scrolls out of view
+        this.visibilityObserver = new IntersectionObserver((entries) => {
+            entries.forEach(entry => {
+                if (!entry.isIntersecting && !video.paused) {
+                    video.pause();
+                }
+            });
+        }, { threshold: 0.25 });
+        this.visibilityObserver.observe(this.frame);
+    }
+
+    play() {
+        this.video.play().catch(e => console.warn('Video play failed:', e));
+    }
+
+    togglePlay() {
+        if (this.video.paused) {
+            this.play();
+        } else {
+            this.video.pause();
+        }
+    }
+
+    toggleMute() {
+        this.video.muted = !this.video.muted;
+    }
+
+    /**
+     * Change the volume, unmuting when turning it up
+     * @param {number} delta
+     */
+    changeVolume(delta) {
+        const volume = Math.min(1, Math.max(0, this.video.volume + delta));
+        this.video.volume = Math.round(volume * 10) / 10;
+        this.video.muted = this.video.volume === 0;
+    }
+
+    /**
+     * Jump relative to the current position
+     * @param {number} delta - Seconds, negative to go back
+     */
+    seekBy(delta) {
+        const duration = this.video.duration || 0;
+        this.video.currentTime = Math.min(duration, Math.max(0, this.video.currentTime + delta));
+    }
+
+    toggleCaptions() {
+        this.captionsOn = !this.captionsOn;
+        this.switchTracks();
+        this.updateAll();
+    }
+
+    toggleFullscreen() {
+        if (document.fullscreenElement) {
+            document.exitFullscreen().catch(() => {});
+        } else if (this.frame.requestFullscreen) {
+            this.frame.requestFullscreen().catch(e => console.warn('Fullscreen failed:', e));
+        } else if (this.video.webkitEnterFullscreen) {
+            // iOS Safari only allows the native player to go fullscreen
+            this.video.webkitEnterFullscreen();
+        }
+    }
+
+    /**
+     * Keyboard shortcuts while focus is inside the player
+     * @param {KeyboardEvent} e
+     */
+    handleKeydown(e) {
+        if (e.ctrlKey || e.metaKey || e.altKey) return;
+
+        // Buttons and the seek slider handle their own Space/arrow keys
+        const target = e.target;
+        const isButton = target.closest('button');
+        const isSlider = target === this.seek;
+
+        switch (e.key) {
+            case ' ':
+            case 'k':
+            case 'K':
+                if (isButton && e.key === ' ') return;
+                this.togglePlay();
+                break;
+            case 'ArrowLeft':
+                if (isSlider) return;
+                this.seekBy(-VIDEO_SEEK_STEP);
+                break;
+            case 'ArrowRight':
+                if (isSlider) return;
+                this.seekBy(VIDEO_SEEK_STEP);
+                break;
+            case 'ArrowUp':
+                if (isSlider) return;
+                this.changeVolume(VIDEO_VOLUME_STEP);
+                break;
+            case 'ArrowDown':
+                if (isSlider) return;
+                this.changeVolume(-VIDEO_VOLUME_STEP);
+                break;
+            case 'm':
+            case 'M':
+                this.toggleMute();
+                break;
+            case 'f':
+            case 'F':
+                this.toggleFullscreen();
+                break;
+            case 'c':
+            case 'C':
+                if (this.captionsBtn.hidden) return;
+                this.toggleCaptions();
+                break;
+            default:
+                return;
+        }
+
+        e.preventDefault();
+    }
+
+    /**
+     * Load chapter cues; captions stay off until the visitor turns them on
+     */
+    setupTracks() {
+        const { video } = this;
+        const hasCaptions = Array.from(video.textTracks || [])
+            .some(track => track.kind === 'captions' || track.kind === 'subtitles');
+        this.captionsBtn.hidden = !hasCaptions;
+
+        const { signal } = this.events;
+        video.querySelectorAll('track').forEach(trackEl => {
+            trackEl.addEventListener('load', () => this.renderChapters(), { signal });
+            trackEl.addEventListener('error', () => {
+                console.warn('Video track not available:', trackEl.src);
+            }, { signal });
+        });
+
+        this.switchTracks();
+    }
+
+    /**
+     * Show the caption track and read the chapter track for the active language
+     */
+    switchTracks() {
+        const { video } = this;
+        const captions = getVideoTrack(video, ['captions', 'subtitles']);
+        const chapters = getVideoTrack(video, ['chapters']);
+
+        Array.from(video.textTracks || []).forEach(track => {
+            if (track === chapters) {
+                // Cues only load while a track is not disabled
+                track.mode = 'hidden';
+            } else if (track === captions && this.captionsOn) {
+                track.mode = 'showing';
+            } else {
+                track.mode = 'disabled';
+            }
+        });
+
+        this.renderChapters();
+    }
+
+    /**
+     * Build the chapter list and the markers on the progress bar
+     */
+    renderChapters() {
+        const track = getVideoTrack(this.video, ['chapters']);
+        const duration = this.video.duration;
+        const cues = track && track.cues ? Array.from(track.cues) : [];
+
+        // Chapters past the end of a shorter video are dropped
+        this.chapters = cues
+            .filter(cue => !isFinite(duration) || cue.startTime < duration)
+            .map(cue => ({ start: cue.startTime, title: cue.text }));
+
+        this.markers.innerHTML = '';
+        if (isFinite(duration) && duration > 0) {
+            this.chapters.slice(1).forEach(chapter => {
+                const marker = document.createElement('span');
+                marker.className = 'video-marker';
+                marker.style.left = `${(chapter.start / duration) * 100}%`;
+                this.markers.appendChild(marker);
+            });
+        }
+
+        if (!this.chaptersNav) return;
+
+        const list = this.chaptersNav.querySelector('ol');
+        list.innerHTML = '';
+        this.chapters.forEach(chapter => {
+            const item = document.createElement('li');
+            const button = document.createElement('button');
+            button.type = 'button';
+            button.className = 'video-chapter';
+            button.innerHTML = '<span class="video-chapter-time"></span> <span class="video-chapter-title"></span>';
+            button.querySelector('.video-chapter-time').textContent = formatVideoTime(chapter.start);
+            button.querySelector('.video-chapter-title').textContent = chapter.title;
+            button.addEventListener('click', () => {
+                this.video.currentTime = chapter.start;
+                this.play();
+            });
+            item.appendChild(button);
+            list.appendChild(item);
+        });
+        this.chaptersNav.hidden = this.chapters.length === 0;
+        this.updateChapter();
+    }
+
+    /**
+     * Mark the chapter that is playing
+     */
+    updateChapter() {
+        if (!this.chaptersNav) return;
+
+        const time = this.video.currentTime;
+        let current = -1;
+        this.chapters.forEach((chapter, index) => {
+            if (chapter.start <= time) current = index;
+        });
+
+        this.chaptersNav.querySelectorAll('.video-chapter').forEach((button, index) => {
+            if (index === current) {
+                button.setAttribute('aria-current', 'true');
+            } else {
+                button.removeAttribute('aria-current');
+            }
+        });
+    }
+
+    updateProgress() {
+        const { video } = this;
+        const duration = isFinite(video.duration) ? video.duration : 0;
+
+        this.seek.max = String(duration);
+        this.seek.value = String(video.currentTime);
+        this.seek.setAttribute('aria-valuetext', t('video.controls.position', {
+            current: formatVideoTime(video.currentTime),
+            total: formatVideoTime(duration)
+        }));
+        this.time.textContent = `${formatVideoTime(video.currentTime)} / ${formatVideoTime(duration)}`;
+        this.updateChapter();
+    }
+
+    /**
+     * Sync every control label and state with the video
+     */
+    updateAll() {
+        const { video } = this;
+        const playing = !video.paused && !video.ended;
+        const muted = video.muted || video.volume === 0;
+        const fullscreen = document.fullscreenElement === this.frame;
+
+        this.frame.classList.toggle('is-playing', playing);
+
+        this.toggleBtn.setAttribute('aria-label', t(playing ? 'video.controls.pause' : 'video.controls.play'));
+        this.toggleBtn.firstElementChild.textContent = playing ? '❚❚' : '▶';
+
+        this.muteBtn.setAttribute('aria-label', t(muted ? 'video.controls.unmute' : 'video.controls.mute'));
+        this.muteBtn.firstElementChild.textContent = muted ? '🔇' : '🔊';
+
+        this.captionsBtn.setAttribute('aria-label', t('video.controls.captions'));
+        this.captionsBtn.setAttribute('aria-pressed', String(this.captionsOn));
+
+        this.fullscreenBtn.setAttribute('aria-label', t(fullscreen ? 'video.controls.exitFullscreen' : 'video.controls.fullscreen'));
+        this.seek.setAttribute('aria-label', t('video.controls.seek'));
+
+        this.updateProgress();
+    }
+
+    /**
+     * Identify the video by its file so a new video does not resume an old position
+     * @returns {string}
+     */
+    getSourceId() {
+        return this.video.currentSrc || (this.video.querySelector('source') || {}).src || '';
+    }
+
+    saveProgress() {
+        const { video } = this;
+        if (!video.currentTime || video.ended) return;
+
+        saveToStorage(this.storageKey, {
+            src: this.getSourceId(),
+            time: Math.floor(video.currentTime)
+        });
+    }
+
+    clearProgress() {
+        saveToStorage(this.storageKey, null);
+    }
+
+    /**
+     * Continue from the last watched position
+     */
+    resume() {
+        const saved = getFromStorage(this.storageKey);
+        const duration = this.video.duration;
+
+        if (!saved || saved.src !== this.getSourceId() || !isFinite(duration)) return;
+        if (saved.time > VIDEO_RESUME_MARGIN && saved.time < duration - VIDEO_RESUME_MARGIN) {
+            this.video.currentTime = saved.time;
+        }
+    }
+
+    /**
+     * Drop the poster when the image is missing so the frame shows its
+     * background instead of a broken image
+     */
+    checkPoster() {
+        const poster = this.video.getAttribute('poster');
+        if (!poster) {
+            this.frame.classList.add('no-poster');
+            return;
+        }
+
+        const probe = new Image();
+        probe.onerror = () => {
+            this.video.removeAttribute('poster');
+            this.frame.classList.add('no-poster');
+        };
+        probe.src = poster;
+    }
+
+    /**
+     * Remove the custom controls and hand the video back to the native ones
+     */
+    destroy() {
+        this.events.abort();
+        this.visibilityObserver.disconnect();
+        this.controls.remove();
+
+        const fallback = this.frame.querySelector('.video-fallback');
+        if (fallback) fallback.remove();
+        this.frame.classList.remove('is-started', 'is-unavailable', 'no-poster');
+        if (this.chaptersNav) {
+            this.chaptersNav.hidden = true;
+        }
+
+        this.video.controls = true;
+    }
+
+    /**
+     * Replace the player with a message when the video cannot load
+     */
+    showFallback() {
+        if (this.frame.classList.contains('is-unavailable')) return;
+
+        this.frame.classList.add('is-unavailable');
+        this.visibilityObserver.disconnect();
+        this.frame.removeEventListener('keydown', this.handleKeydown);
+        toggleVideoOverlay(false, this.overlay);
+        this.controls.hidden = true;
+        if (this.chaptersNav) {
+            this.chaptersNav.hidden = true;
+        }
+
+        const fallback = document.createElement('p');
+        fallback.className = 'video-fallback';
+        fallback.setAttribute('role', 'status');
+        fallback.dataset.i18n = 'video.unavailable';
+        fallback.textContent = t('video.unavailable');
+        this.frame.appendChild(fallback);
+    }
+}
+
+let videoPlayer = null;
+
+/**
+ * Initialize video player functionality
+ * @param {FeatureContext} context
+ */
+function initVideoPlayer({ root }) {
+    const frame = root.querySelector('[data-video-player]');
+    if (!frame.querySelector('video')) return;
+
+    videoPlayer = new VideoPlayer(frame, root);
+}
+
+export default {
+    name: 'videoPlayer',
+    selector: '[data-video-player]',
+    init: initVideoPlayer,
+    destroy() {
+        if (videoPlayer) {
+            videoPlayer.destroy();
+            videoPlayer = null;
+        }
+    }
+};
@@ -0,0 +1,154 @@
+/**
+ * Bold - Entry point
+ * Registers every feature in start-up order and boots them once the DOM
+ * is ready. On local development hosts the public helpers are also
+ * exposed on window.bold for debugging from the console.
+ */
+
+import { registerFeature, initFeature, destroyFeature, reinitFeature, initFeatures, destroyFeatures, isFeatureActive } from './core/registry.js';
+import { t, setLanguage, getLocale } from './core/i18n.js';
+import { CONSENT_CATEGORIES, hasConsent, getConsent, setConsent, acceptAllConsent, rejectOptionalConsent, subscribeConsent, restoreConsent } from './core/consent.js';
+import { createEndpointAdapter } from './core/forms.js';
+import { isMobile, isTablet, isDesktop, getCurrentBreakpoint } from './core/viewport.js';
+import { isDevHost } from './core/utils.js';
+
+import theme, { getTheme, setTheme, toggleTheme } from './features/theme.js';
+import performanceGovernor from './features/performance.js';
+import consent, { openConsentPreferences } from './features/consent.js';
+import analytics, { track, setAnalyticsConsent, addAnalyticsProvider, createDataLayerProvider, createBeaconProvider, createConsoleProvider } from './features/analytics.js';
+import language from './features/language.js';
+import brands from './features/brands.js';
+import stickyHeader from './features/sticky-header.js';
+import smoothScroll from './features/smooth-scroll.js';
+import scrollSpy from './features/scroll-spy.js';
+import stats from './features/stats.js';
+import reveal from './features/reveal.js';
+import gallery from './features/gallery.js';
+import videoPlayer from './features/video.js';
+import lazyLoading from './features/lazy-loading.js';
+import images from './features/images.js';
+import locator from './features/locator.js';
+import contactForm, { setContactAdapter } from './features/contact-form.js';
+import leadWizard, { setLeadAdapter } from './features/lead-wizard.js';
+import serviceWorker from './features/service-worker.js';
+import scrollProgress from './features/scroll-progress.js';
+import parallax from './features/parallax.js';
+import mobileMenu, { toggleMenu, openMenu, closeMenu } from './features/mobile-menu.js';
+import responsive from './features/responsive.js';
+
+// ============================================
+// REGISTRATION
+// ============================================
+
+// Theme, performance tier and consent first: later features read them.
+// Analytics next so it instruments interactions before anything can fire them.
+// i18n is blocking, so everything after it renders in the right language.
+[
+    theme,
+    performanceGovernor,
+    consent,
+    analytics,
+    language,
+    brands,
+    stickyHeader,
+    smoothScroll,
+    scrollSpy,
+    stats,
+    reveal,
+    gallery,
+    videoPlayer,
+    lazyLoading,
+    images,
+    locator,
+    contactForm,
+    leadWizard,
+    serviceWorker,
+    scrollProgress,
+    parallax,
+    mobileMenu,
+    responsive
+].forEach(registerFeature);
+
+// ============================================
+// INITIALIZATION
+// ============================================
+
+/**
+ * Initialize all functionality when DOM is ready
+ */
+async function init() {
+    // Restore the consent decision before anything reads or writes storage
+    restoreConsent();
+    
+    await initFeatures(document);
+}
+
+// Module scripts are deferred, but guard anyway in case this is imported late
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', init);
+} else {
+    init();
+}
+
+// ============================================
+// DEBUG HELPERS
+// ============================================
+
+// Console access to the features and services, never on the live site
+if (isDevHost()) {
+    window.bold = {
+        features: {
+            init: initFeature,
+            destroy: destroyFeature,
+            reinit: reinitFeature,
+            initAll: initFeatures,
+            destroyAll: destroyFeatures,
+            isActive: isFeatureActive
+        },
+        i18n: {
+            t,
+            setLanguage,
+            getLanguage: getLocale
+        },
+        consent: {
+            has: hasConsent,
+            get: getConsent,
+            set: setConsent,
+            acceptAll: acceptAllConsent,
+            rejectAll: rejectOptionalConsent,
+            open: openConsentPreferences,
+            subscribe: subscribeConsent,
+            categories: CONSENT_CATEGORIES
+        },
+        analytics: {
+            track,
+            setConsent: setAnalyticsConsent,
+            addProvider: addAnalyticsProvider,
+            createDataLayerProvider,
+            createBeaconProvider,
+            createConsoleProvider
+        },
+        theme: {
+            get: getTheme,
+            set: setTheme,
+            toggle: toggleTheme
+        },
+        contactForm: {
+            setAdapter: setContactAdapter,
+            createEndpointAdapter
+        },
+        leadWizard: {
+            setAdapter: setLeadAdapter,
+            createEndpointAdapter
+        },
+        mobileMenu: {
+            toggle: toggleMenu,
+            open: openMenu,
+            close: closeMenu,
+            isMobile,
+            isTablet,
+            isDesktop,
+            getCurrentBreakpoint
+        }
+    };
+}
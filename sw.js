@@ -0,0 +1,287 @@
+/**
+ * ================================================================
+ * Service worker
+ * ================================================================
+ *
+ * - Precaches the page shell so the site opens offline
+ * - Navigations: network first, then the cached page, then offline.html
+ * - Shell assets: cache first from the versioned cache, so the scripts
+ *   and styles of one release are never mixed with another's
+ * - Other same-origin requests (e.g. data): stale-while-revalidate
+ * - Fotos/ images: cache first, capped in count and size
+ * - Video and range requests: network only, never cached
+ *
+ * Bump CACHE_VERSION when shipping: the new worker fetches a fresh
+ * shell on install, visitors get the "nova versão disponível" prompt
+ * and the old caches are dropped.
+ * ================================================================
+ */
+
+const CACHE_VERSION = 'v3';
+const SHELL_CACHE = `bold-shell-${CACHE_VERSION}`;
+const IMAGE_CACHE = `bold-images-${CACHE_VERSION}`;
+
+const OFFLINE_URL = 'offline.html';
+
+const SHELL_ASSETS = [
+    './',
+    'index.html',
+    OFFLINE_URL,
+    'style.css',
+    'js/main.js',
+    'js/core/consent.js',
+    'js/core/forms.js',
+    'js/core/i18n.js',
+    'js/core/performance.js',
+    'js/core/registry.js',
+    'js/core/scheduler.js',
+    'js/core/scroll-lock.js',
+    'js/core/storage.js',
+    'js/core/utils.js',
+    'js/core/viewport.js',
+    'js/components/drawer.js',
+    'js/components/tabs.js',
+    'js/features/analytics.js',
+    'js/features/brands.js',
+    'js/features/consent.js',
+    'js/features/contact-form.js',
+    'js/features/gallery.js',
+    'js/features/images.js',
+    'js/features/language.js',
+    'js/features/lazy-loading.js',
+    'js/features/lead-wizard.js',
+    'js/features/locator.js',
+    'js/features/mobile-menu.js',
+    'js/features/parallax.js',
+    'js/features/performance.js',
+    'js/features/responsive.js',
+    'js/features/reveal.js',
+    'js/features/scroll-progress.js',
+    'js/features/scroll-spy.js',
+    'js/features/service-worker.js',
+    'js/features/smooth-scroll.js',
+    'js/features/stats.js',
+    'js/features/sticky-header.js',
+    'js/features/theme.js',
+    'js/features/video.js',
+    'theme-init.js',
+    'manifest.webmanifest',
+    'data/brands.json',
+    'data/i18n/pt-BR.json',
+    'data/i18n/en.json',
+    'data/i18n/es.json',
+    'Fotos/logo.png',
+    'Fotos/BoldLogo.PNG',
+    'Fotos/icons/icon-192.png',
+    'Fotos/icons/icon-512.png',
+    'Fotos/icons/icon-maskable-512.png',
+    'Fotos/outback-logo.png',
+    'Fotos/abbraccio-logo.png',
+    'Fotos/aussie-logo.png'
+];
+
+// Paths of the shell assets, to recognise them in fetch events
+const SHELL_PATHS = new Set(SHELL_ASSETS.map(asset => new URL(asset, self.location).pathname));
+
+// Image cache limits: oldest entries are evicted first
+const IMAGE_CACHE_MAX_ENTRIES = 60;
+const IMAGE_MAX_BYTES = 5 * 1024 * 1024;
+
+self.addEventListener('install', (event) => {
+    event.waitUntil(
+        // Bypass the HTTP cache so the new version never precaches old files
+        caches.open(SHELL_CACHE).then(cache => cache.addAll(
+            SHELL_ASSETS.map(asset => new Request(asset, { cache: 'reload' }))
+        ))
+    );
+});
+
+self.addEventListener('activate', (event) => {
+    const current = [SHELL_CACHE, IMAGE_CACHE];
+    event.waitUntil(
+        caches.keys()
+            .then(keys => Promise.all(
+                keys
+                    .filter(key => key.startsWith('bold-') && !current.includes(key))
+                    .map(key => caches.delete(key))
+            ))
+            .then(() => self.clients.claim())
+    );
+});
+
+// The page asks a waiting worker to take over once the visitor accepts the update
+self.addEventListener('message', (event) => {
+    if (event.data && event.data.type === 'SKIP_WAITING') {
+        self.skipWaiting();
+    }
+});
+
+self.addEventListener('fetch', (event) => {
+    const { request } = event;
+    if (request.method !== 'GET') return;
+    
+    const url = new URL(request.url);
+    if (url.origin !== self.location.origin) return;
+    
+    // Video and range requests go straight to the network: a cached full
+    // body cannot answer a Range request, and 206 responses are not cacheable
+    if (request.destination === 'video' || request.headers.has('range')) return;
+    
+    if (request.mode === 'navigate') {
+        event.respondWith(handleNavigation(event));
+    } else if (SHELL_PATHS.has(url.pathname)) {
+        event.respondWith(cacheFirstShell(event));
+    } else if (isCacheableImage(url, request)) {
+        event.respondWith(cacheFirstImage(event));
+    } else if (url.pathname.startsWith('/api/')) {
+        return;
+    } else {
+        event.respondWith(staleWhileRevalidate(event));
+    }
+});
+
+/**
+ * Images under Fotos/
+ * @param {URL} url
+ * @param {Request} request
+ * @returns {boolean}
+ */
+function isCacheableImage(url, request) {
+    return url.pathname.includes('/Fotos/') && request.destination === 'image';
+}
+
+/**
+ * Whether a response can be stored as a complete copy of the resource
+ * @param {Response} response
+ * @returns {boolean}
+ */
+function isCacheableResponse(response) {
+    return response.ok && response.status === 200;
+}
+
+/**
+ * Store a response without holding up the page, keeping the worker alive
+ * until it is written; failures only cost the cache entry
+ * @param {FetchEvent} event
+ * @param {Cache} cache
+ * @param {Request} request
+ * @param {Response} response
+ */
+function putInBackground(event, cache, request, response) {
+    event.waitUntil(cache.put(request, response).catch(() => {}));
+}
+
+/**
+ * Network first so visitors see fresh content, falling back to the
+ * cached page and finally to the offline view
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function handleNavigation(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    
+    try {
+        const response = await fetch(request);
+        if (isCacheableResponse(response)) {
+            putInBackground(event, cache, request, response.clone());
+        }
+        return response;
+    } catch (e) {
+        return (await cache.match(request, { ignoreSearch: true })) ||
+            (await cache.match(OFFLINE_URL)) ||
+            Response.error();
+    }
+}
+
+/**
+ * Serve a shell asset from this version's cache; the network is only
+ * used if the entry went missing
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function cacheFirstShell(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    if (cached) return cached;
+    
+    try {
+        const response = await fetch(request);
+        if (isCacheableResponse(response)) {
+            putInBackground(event, cache, request, response.clone());
+        }
+        return response;
+    } catch (e) {
+        return Response.error();
+    }
+}
+
+/**
+ * Serve from cache right away and refresh the entry in the background
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function staleWhileRevalidate(event) {
+    const { request } = event;
+    const cache = await caches.open(SHELL_CACHE);
+    const cached = await cache.match(request, { ignoreSearch: true });
+    
+    const network = fetch(request)
+        .then(response => {
+            if (isCacheableResponse(response)) {
+                putInBackground(event, cache, request, response.clone());
+            }
+            return response;
+        })
+        .catch(() => cached || Response.error());
+    
+    // Keep the worker alive for the refresh when the cached copy answers first
+    event.waitUntil(network);
+    
+    return cached || network;
+}
+
+/**
+ * Serve images from cache, fetching and storing them on a miss
+ * @param {FetchEvent} event
+ * @returns {Promise<Response>}
+ */
+async function cacheFirstImage(event) {
+    const { request } = event;
+    const shell = await caches.open(SHELL_CACHE);
+    const cache = await caches.open(IMAGE_CACHE);
+    const cached = (await shell.match(request)) || (await cache.match(request));
+    if (cached) return cached;
+    
+    try {
+        const response = await fetch(request);
+        const size = Number(response.headers.get('content-length'));
+        
+        // Opaque, partial and oversized responses are not worth the quota
+        if (isCacheableResponse(response) && !(size > IMAGE_MAX_BYTES)) {
+            event.waitUntil(
+                cache.put(request, response.clone())
+                    .then(() => trimCache(cache, IMAGE_CACHE_MAX_ENTRIES))
+                    .catch(() => {})
+            );
+        }
+        return response;
+    } catch (e) {
+        return Response.error();
+    }
+}
+
+/**
+ * Drop the oldest entries until the cache fits its limit
+ * @param {Cache} cache
+ * @param {number} maxEntries
+ * @returns {Promise<void>}
+ */
+async function trimCache(cache, maxEntries) {
+    const keys = await cache.keys();
+    const excess = keys.length - maxEntries;
+    for (let i = 0; i < excess; i++) {
+        await cache.delete(keys[i]);
+    }
+}
@@ -0,0 +1,141 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import brands, { restoreActiveTab } from '../js/features/brands.js';
+
+const BRANDS = [
+    { id: 'outback', name: 'Outback Steakhouse', description: 'Outback' },
+    { id: 'aussie', name: 'Aussie Grill', description: 'Aussie' },
+    { id: 'abbraccio', name: 'Abbraccio', description: 'Abbraccio' }
+];
+
+const BRANDS_MARKUP = `
+    <section id="marcas" data-tabs>
+        <div data-brands-nav data-tabs-list></div>
+        <div data-brands-panels></div>
+    </section>
+`;
+
+let controller;
+
+/**
+ * Render the brand section from a stubbed registry
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL
+ * @param {string} [options.savedTab] - activeTab already in localStorage
+ */
+async function initBrands({ url, savedTab } = {}) {
+    setupDom(BRANDS_MARKUP, { url });
+    if (savedTab) {
+        localStorage.setItem('activeTab', JSON.stringify(savedTab));
+    }
+    globalThis.fetch = async () => ({ ok: true, json: async () => BRANDS });
+
+    controller = new AbortController();
+    await brands.init({ root: document, signal: controller.signal });
+}
+
+/**
+ * @returns {string|undefined} Id of the visible brand panel
+ */
+function visiblePanel() {
+    const panels = Array.from(document.querySelectorAll('[data-tab-panel]'));
+    const visible = panels.filter(panel => !panel.hidden);
+    assert.equal(visible.length, 1);
+    return visible[0].dataset.tabPanel;
+}
+
+describe('restoreActiveTab', () => {
+    afterEach(() => {
+        controller.abort();
+        brands.destroy();
+        delete globalThis.fetch;
+    });
+
+    it('renders a tab per brand and starts on the first', async () => {
+        await initBrands();
+
+        assert.equal(document.querySelectorAll('[data-tab]').length, BRANDS.length);
+        assert.equal(visiblePanel(), 'outback');
+    });
+
+    it('restores the tab saved in localStorage', async () => {
+        await initBrands({ savedTab: 'aussie' });
+
+        assert.equal(visiblePanel(), 'aussie');
+        assert.equal(document.querySelector('[data-tab="aussie"]').getAttribute('aria-selected'), 'true');
+    });
+
+    it('prefers the brand in the URL over the saved one', async () => {
+        await initBrands({ url: 'https://bold.test/?brand=abbraccio' });
+        localStorage.setItem('activeTab', JSON.stringify('aussie'));
+
+        restoreActiveTab();
+
+        assert.equal(visiblePanel(), 'abbraccio');
+    });
+
+    it('falls back to storage when the URL names an unknown brand', async () => {
+        await initBrands({ url: 'https://bold.test/?brand=missing' });
+        localStorage.setItem('activeTab', JSON.stringify('aussie'));
+
+        restoreActiveTab();
+
+        assert.equal(visiblePanel(), 'aussie');
+    });
+
+    it('keeps the first tab when the saved one no longer exists', async () => {
+        await initBrands();
+        localStorage.setItem('activeTab', JSON.stringify('closed-brand'));
+
+        restoreActiveTab();
+
+        assert.equal(visiblePanel(), 'outback');
+    });
+
+    it('ignores unreadable saved values', async (t) => {
+        t.mock.method(console, 'warn', () => {});
+        await initBrands();
+        localStorage.setItem('activeTab', '{not json');
+
+        assert.doesNotThrow(() => restoreActiveTab());
+        assert.equal(visiblePanel(), 'outback');
+    });
+
+    it('does not record a history entry or fire tabchange while restoring', async () => {
+        await initBrands();
+        localStorage.setItem('activeTab', JSON.stringify('aussie'));
+        let changes = 0;
+        document.addEventListener('tabchange', () => changes++);
+        const historyLength = history.length;
+
+        restoreActiveTab();
+
+        assert.equal(visiblePanel(), 'aussie');
+        assert.equal(changes, 0);
+        assert.equal(history.length, historyLength);
+    });
+});
+
+describe('brand tab changes', () => {
+    beforeEach(() => initBrands());
+
+    afterEach(() => {
+        controller.abort();
+        brands.destroy();
+        delete globalThis.fetch;
+    });
+
+    it('reflect the selected brand in the URL', () => {
+        document.querySelector('[data-tab="aussie"]').click();
+
+        assert.equal(new URL(location.href).searchParams.get('brand'), 'aussie');
+        assert.equal(location.hash, '#marcas');
+    });
+
+    it('are not saved without preferences consent', () => {
+        document.querySelector('[data-tab="aussie"]').click();
+
+        assert.equal(localStorage.getItem('activeTab'), null);
+    });
+});
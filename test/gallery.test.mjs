@@ -0,0 +1,121 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey } from './helpers/dom.mjs';
+import gallery, { showLightbox, closeLightbox } from '../js/features/gallery.js';
+
+describe('showLightbox / closeLightbox', () => {
+    let trigger;
+
+    beforeEach(() => {
+        setupDom('<button id="trigger">Ver foto</button>');
+        trigger = document.getElementById('trigger');
+        trigger.focus();
+    });
+
+    afterEach(() => gallery.destroy());
+
+    it('creates the dialog on first use', () => {
+        assert.equal(document.getElementById('lightbox'), null);
+
+        showLightbox('Fotos/salao.jpg', 'Salão principal');
+
+        const lightbox = document.getElementById('lightbox');
+        assert.equal(lightbox.getAttribute('role'), 'dialog');
+        assert.equal(lightbox.getAttribute('aria-modal'), 'true');
+        assert.equal(document.querySelectorAll('.lightbox').length, 1);
+    });
+
+    it('shows the image with its alt text as caption', () => {
+        showLightbox('Fotos/salao.jpg', 'Salão principal');
+
+        const lightbox = document.getElementById('lightbox');
+        const image = lightbox.querySelector('.lightbox-image');
+        assert.equal(lightbox.classList.contains('active'), true);
+        assert.equal(image.getAttribute('src'), 'Fotos/salao.jpg');
+        assert.equal(image.alt, 'Salão principal');
+        assert.equal(lightbox.querySelector('.lightbox-caption').textContent, 'Salão principal');
+        assert.equal(lightbox.querySelector('.lightbox-counter').textContent, '');
+    });
+
+    it('hides navigation for a single image', () => {
+        showLightbox('Fotos/salao.jpg');
+
+        assert.equal(document.querySelector('.lightbox-prev').hidden, true);
+        assert.equal(document.querySelector('.lightbox-next').hidden, true);
+    });
+
+    it('locks page scroll and moves focus to the close button', () => {
+        showLightbox('Fotos/salao.jpg', 'Salão principal');
+
+        assert.equal(document.body.style.overflow, 'hidden');
+        assert.equal(document.activeElement, document.querySelector('.lightbox-close'));
+    });
+
+    it('fires lightboxopen', () => {
+        let detail = null;
+        document.addEventListener('lightboxopen', e => (detail = e.detail));
+
+        showLightbox('Fotos/salao.jpg', 'Salão principal');
+
+        assert.equal(detail.src, 'Fotos/salao.jpg');
+        assert.equal(detail.caption, 'Salão principal');
+    });
+
+    it('closes, unlocks scroll and returns focus to the opener', () => {
+        showLightbox('Fotos/salao.jpg', 'Salão principal');
+
+        closeLightbox();
+
+        assert.equal(document.getElementById('lightbox').classList.contains('active'), false);
+        assert.equal(document.body.style.overflow, '');
+        assert.equal(document.activeElement, trigger);
+    });
+
+    it('closes on Escape', () => {
+        showLightbox('Fotos/salao.jpg', 'Salão principal');
+
+        const event = pressKey('Escape');
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(document.getElementById('lightbox').classList.contains('active'), false);
+        assert.equal(document.activeElement, trigger);
+    });
+
+    it('closes on the close button and on the backdrop', () => {
+        showLightbox('Fotos/salao.jpg');
+        document.querySelector('.lightbox-close').click();
+        assert.equal(document.getElementById('lightbox').classList.contains('active'), false);
+
+        showLightbox('Fotos/salao.jpg');
+        document.getElementById('lightbox').click();
+        assert.equal(document.getElementById('lightbox').classList.contains('active'), false);
+    });
+
+    it('stops handling keys once closed', () => {
+        showLightbox('Fotos/salao.jpg');
+        closeLightbox();
+        showLightbox('Fotos/bar.jpg');
+        closeLightbox();
+
+        const event = pressKey('Escape', { target: document.body });
+
+        assert.equal(event.defaultPrevented, false);
+    });
+
+    it('reuses the open dialog for the next image', () => {
+        showLightbox('Fotos/salao.jpg', 'Salão');
+        showLightbox('Fotos/bar.jpg', 'Bar');
+
+        assert.equal(document.querySelectorAll('.lightbox').length, 1);
+        assert.equal(document.querySelector('.lightbox-image').getAttribute('src'), 'Fotos/bar.jpg');
+
+        // One lock per open dialog, so a single close frees the page
+        closeLightbox();
+        assert.equal(document.body.style.overflow, '');
+    });
+
+    it('does nothing when closing before anything was shown', () => {
+        assert.doesNotThrow(() => closeLightbox());
+        assert.equal(document.getElementById('lightbox'), null);
+    });
+});
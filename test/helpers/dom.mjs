@@ -0,0 +1,79 @@
+/**
+ * Bold - jsdom environment for the test suite
+ * The site modules use browser globals (document, window, localStorage...),
+ * so each test file builds a page here before calling into them.
+ */
+
+import { JSDOM } from 'jsdom';
+
+// Browser globals the modules reach for without going through `window`
+const BROWSER_GLOBALS = [
+    'window', 'document', 'navigator', 'location', 'history', 'localStorage',
+    'Node', 'Element', 'HTMLElement', 'HTMLMediaElement', 'Image', 'Storage', 'DOMException', 'AbortController',
+    'Event', 'CustomEvent', 'KeyboardEvent', 'MouseEvent',
+    'getComputedStyle', 'requestAnimationFrame', 'cancelAnimationFrame'
+];
+
+/**
+ * Build a page and expose its window as the global browser environment
+ * @param {string} [body] - Markup for <body>
+ * @param {Object} [options]
+ * @param {string} [options.url] - Page URL, e.g. with a ?brand= query
+ * @param {number} [options.width] - window.innerWidth (mobile is below 768)
+ * @param {boolean} [options.reducedMotion] - Answer for (prefers-reduced-motion: reduce)
+ * @returns {JSDOM}
+ */
+export function setupDom(body = '', { url = 'https://bold.test/', width = 1280, reducedMotion = false } = {}) {
+    const dom = new JSDOM(`<!DOCTYPE html><html lang="pt-BR"><head></head><body>${body}</body></html>`, {
+        url,
+        pretendToBeVisual: true
+    });
+    const { window } = dom;
+
+    // jsdom implements neither media queries nor layout observers
+    window.matchMedia = query => ({
+        media: query,
+        matches: reducedMotion && query.includes('prefers-reduced-motion: reduce'),
+        addEventListener() {},
+        removeEventListener() {}
+    });
+    window.IntersectionObserver = class {
+        observe() {}
+        unobserve() {}
+        disconnect() {}
+    };
+    setViewportWidth(window, width);
+
+    BROWSER_GLOBALS.forEach(name => {
+        const value = typeof window[name] === 'function' && /^[a-z]/.test(name)
+            ? window[name].bind(window)
+            : window[name];
+        Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    });
+    globalThis.IntersectionObserver = window.IntersectionObserver;
+
+    return dom;
+}
+
+/**
+ * Resize the window; listeners are not notified
+ * @param {Window} window
+ * @param {number} width
+ */
+export function setViewportWidth(window, width) {
+    Object.defineProperty(window, 'innerWidth', { value: width, configurable: true });
+}
+
+/**
+ * Dispatch a keydown as if typed on the focused element (or the given one)
+ * @param {string} key
+ * @param {Object} [options]
+ * @param {Element} [options.target]
+ * @param {boolean} [options.shiftKey]
+ * @returns {KeyboardEvent} The event, to inspect defaultPrevented
+ */
+export function pressKey(key, { target = document.activeElement, shiftKey = false } = {}) {
+    const event = new KeyboardEvent('keydown', { key, shiftKey, bubbles: true, cancelable: true });
+    target.dispatchEvent(event);
+    return event;
+}
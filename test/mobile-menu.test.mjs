@@ -0,0 +1,189 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, setViewportWidth, pressKey } from './helpers/dom.mjs';
+import mobileMenu, { openMenu, closeMenu, toggleMenu } from '../js/features/mobile-menu.js';
+
+const PAGE_MARKUP = `
+    <nav>
+        <div class="logo"><span class="logo-text">Bold</span></div>
+        <ul class="nav-links">
+            <li><a href="#sobre">Sobre</a></li>
+            <li><a href="#marcas">Marcas</a></li>
+            <li><a href="#contato">Contato</a></li>
+        </ul>
+    </nav>
+    <main><button id="outside">Reservar</button></main>
+    <footer>Bold</footer>
+`;
+
+describe('mobile menu', () => {
+    let controller;
+    let toggle;
+    let panel;
+
+    beforeEach(() => {
+        setupDom(PAGE_MARKUP, { width: 375 });
+        mock.timers.enable({ apis: ['setTimeout'] });
+
+        controller = new AbortController();
+        mobileMenu.init({ root: document, signal: controller.signal });
+        toggle = document.querySelector('.nav-toggle');
+        panel = document.querySelector('.nav-links');
+    });
+
+    afterEach(() => {
+        controller.abort();
+        mobileMenu.destroy();
+        mock.timers.reset();
+    });
+
+    /**
+     * @returns {boolean}
+     */
+    function isOpen() {
+        return panel.classList.contains('active');
+    }
+
+    it('adds a closed toggle button to the nav', () => {
+        assert.ok(toggle);
+        assert.equal(toggle.parentElement, document.querySelector('nav'));
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(isOpen(), false);
+    });
+
+    it('opens from the toggle button', () => {
+        toggle.click();
+
+        assert.equal(isOpen(), true);
+        assert.equal(toggle.classList.contains('active'), true);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'true');
+        assert.equal(document.body.classList.contains('menu-open'), true);
+        assert.equal(document.body.style.overflow, 'hidden');
+    });
+
+    it('makes the rest of the page inert while open', () => {
+        openMenu();
+
+        assert.equal(document.querySelector('main').hasAttribute('inert'), true);
+        assert.equal(document.querySelector('footer').hasAttribute('inert'), true);
+        assert.equal(document.querySelector('nav').hasAttribute('inert'), false);
+
+        closeMenu();
+
+        assert.equal(document.querySelector('main').hasAttribute('inert'), false);
+        assert.equal(document.querySelector('footer').hasAttribute('inert'), false);
+    });
+
+    it('moves focus to the first link once the panel slides in', () => {
+        toggle.focus();
+        openMenu();
+        assert.equal(document.activeElement, toggle);
+
+        mock.timers.tick(300);
+
+        assert.equal(document.activeElement, panel.querySelector('a'));
+    });
+
+    it('closes from the toggle button and unlocks the page', () => {
+        toggle.click();
+        toggle.click();
+
+        assert.equal(isOpen(), false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+        assert.equal(document.body.classList.contains('menu-open'), false);
+        assert.equal(document.body.style.overflow, '');
+    });
+
+    it('toggles through the public API', () => {
+        toggleMenu();
+        assert.equal(isOpen(), true);
+
+        toggleMenu();
+        assert.equal(isOpen(), false);
+    });
+
+    it('closes on Escape and returns focus to the toggle', () => {
+        openMenu();
+        mock.timers.tick(300);
+
+        const event = pressKey('Escape');
+
+        assert.equal(event.defaultPrevented, true);
+        assert.equal(isOpen(), false);
+        assert.equal(document.activeElement, toggle);
+    });
+
+    it('ignores Escape while closed', () => {
+        const event = pressKey('Escape', { target: document.body });
+
+        assert.equal(event.defaultPrevented, false);
+        assert.equal(toggle.getAttribute('aria-expanded'), 'false');
+    });
+
+    it('keeps Tab focus inside the toggle and the menu', () => {
+        openMenu();
+        const links = panel.querySelectorAll('a');
+
+        links[links.length - 1].focus();
+        const forward = pressKey('Tab');
+        assert.equal(forward.defaultPrevented, true);
+        assert.equal(document.activeElement, toggle);
+
+        const backward = pressKey('Tab', { shiftKey: true });
+        assert.equal(backward.defaultPrevented, true);
+        assert.equal(document.activeElement, links[links.length - 1]);
+    });
+
+    it('lets Tab move normally between menu links', () => {
+        openMenu();
+        panel.querySelector('a').focus();
+
+        assert.equal(pressKey('Tab').defaultPrevented, false);
+    });
+
+    it('closes when clicking outside', () => {
+        openMenu();
+
+        document.querySelector('footer').click();
+
+        assert.equal(isOpen(), false);
+    });
+
+    it('stays open when clicking inside the menu', () => {
+        openMenu();
+
+        panel.click();
+
+        assert.equal(isOpen(), true);
+    });
+
+    it('closes after following a link on mobile', () => {
+        openMenu();
+
+        panel.querySelector('a').click();
+
+        assert.equal(isOpen(), false);
+    });
+
+    it('closes when the layout leaves the mobile breakpoint', () => {
+        openMenu();
+        setViewportWidth(window, 1280);
+
+        window.dispatchEvent(new CustomEvent('breakpointChange', {
+            detail: { breakpoint: 'desktop', previous: 'mobile' }
+        }));
+
+        assert.equal(isOpen(), false);
+        assert.equal(document.body.style.overflow, '');
+    });
+
+    it('removes the toggle and unlocks the page when destroyed', () => {
+        openMenu();
+
+        mobileMenu.destroy();
+
+        assert.equal(document.querySelector('.nav-toggle'), null);
+        assert.equal(document.body.style.overflow, '');
+        assert.equal(document.querySelector('main').hasAttribute('inert'), false);
+    });
+});
@@ -0,0 +1,103 @@
+import { describe, it, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import net from 'node:net';
+import { createRequire } from 'node:module';
+
+// Read when the module loads: answer right away and never simulate failures
+process.env.MOCK_DELAY = '0';
+delete process.env.MOCK_FAIL;
+
+const require = createRequire(import.meta.url);
+const { createMockServer } = require('../tools/mock-server.js');
+
+let server;
+let baseUrl;
+
+/**
+ * POST a raw body to the mock server
+ * @param {string} path
+ * @param {string} body
+ * @returns {Promise<Response>}
+ */
+function post(path, body) {
+    return fetch(`${baseUrl}${path}`, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json' },
+        body
+    });
+}
+
+/**
+ * Send a request line as is, bypassing URL validation in the client
+ * @param {string} target - Request target, e.g. an invalid absolute URL
+ * @returns {Promise<string>} The response status line
+ */
+function sendRawRequest(target) {
+    return new Promise((resolve, reject) => {
+        const socket = net.connect(server.address().port, '127.0.0.1', () => {
+            socket.write(`GET ${target} HTTP/1.1\r\nHost: localhost\r\nConnection: close\r\n\r\n`);
+        });
+        let data = '';
+        socket.on('data', chunk => (data += chunk));
+        socket.on('end', () => resolve(data.split('\r\n')[0]));
+        socket.on('error', reject);
+    });
+}
+
+describe('mock server', () => {
+    before(async () => {
+        server = createMockServer();
+        await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+        baseUrl = `http://127.0.0.1:${server.address().port}`;
+    });
+
+    after(() => new Promise(resolve => server.close(resolve)));
+
+    beforeEach(() => {
+        mock.method(console, 'log', () => {});
+    });
+
+    it('rejects JSON bodies that are not objects', async () => {
+        for (const body of ['null', '[]', '"hello"', '42']) {
+            const response = await post('/api/contact', body);
+            assert.equal(response.status, 400, `body ${body}`);
+            assert.deepEqual(await response.json(), { ok: false, error: 'Expected a JSON object' });
+        }
+    });
+
+    it('rejects malformed JSON', async () => {
+        const response = await post('/api/leads', '{"name":');
+
+        assert.equal(response.status, 400);
+    });
+
+    it('keeps serving after a bad body', async () => {
+        await post('/api/events', 'null');
+        const response = await post('/api/events', JSON.stringify({ events: [] }));
+
+        assert.equal(response.status, 201);
+    });
+
+    it('reports the invalid fields of an object body', async () => {
+        const response = await post('/api/contact', JSON.stringify({ name: 'Ana' }));
+
+        assert.equal(response.status, 422);
+        assert.deepEqual((await response.json()).invalid, ['email', 'subject', 'message', 'consent']);
+    });
+
+    it('answers 400 to a request target that is not a URL', async () => {
+        assert.match(await sendRawRequest('http://[bad/'), /^HTTP\/1\.1 400/);
+
+        const response = await fetch(`${baseUrl}/index.html`);
+        assert.equal(response.status, 200);
+    });
+
+    it('answers 400 to a path that cannot be decoded', async () => {
+        assert.match(await sendRawRequest('/%E0%A4%A'), /^HTTP\/1\.1 400/);
+    });
+
+    it('refuses the repository and dependency folders', async () => {
+        assert.equal((await fetch(`${baseUrl}/.git/HEAD`)).status, 403);
+        assert.equal((await fetch(`${baseUrl}/node_modules/jsdom/package.json`)).status, 403);
+    });
+});
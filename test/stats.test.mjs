@@ -0,0 +1,206 @@
+import { describe, it, before, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import { parseCounter, animateNumber } from '../js/features/stats.js';
+import { getPerformanceTier, refreshPerformanceTier } from '../js/core/performance.js';
+
+/**
+ * Replace requestAnimationFrame with a queue the test steps through
+ * @returns {{pending: function(): number, run: function(number): void}}
+ */
+function useManualFrames() {
+    let frames = new Map();
+    let nextId = 1;
+
+    globalThis.requestAnimationFrame = callback => {
+        frames.set(nextId, callback);
+        return nextId++;
+    };
+    globalThis.cancelAnimationFrame = id => frames.delete(id);
+
+    return {
+        pending: () => frames.size,
+        run(timestamp) {
+            const callbacks = Array.from(frames.values());
+            frames = new Map();
+            callbacks.forEach(callback => callback(timestamp));
+        }
+    };
+}
+
+/**
+ * @param {Object} attributes - data-* attributes without the prefix
+ * @param {string} [text] - Initial content
+ * @returns {HTMLElement}
+ */
+function createCounter(attributes, text = '') {
+    const element = document.createElement('div');
+    element.className = 'stat-number';
+    element.textContent = text;
+    Object.entries(attributes).forEach(([name, value]) => element.setAttribute(`data-${name}`, value));
+    document.body.appendChild(element);
+    return element;
+}
+
+/**
+ * @param {HTMLElement} element
+ * @returns {{visual: string, label: string}}
+ */
+function readCounter(element) {
+    return {
+        visual: element.querySelector('.stat-count').textContent,
+        label: element.querySelector('.sr-only').textContent
+    };
+}
+
+describe('parseCounter', () => {
+    beforeEach(() => setupDom());
+
+    it('reads an integer target with the default duration', () => {
+        assert.deepEqual(parseCounter(createCounter({ 'count-to': '15000', suffix: '+' })), {
+            target: 15000,
+            prefix: '',
+            suffix: '+',
+            decimals: 0,
+            duration: 2000
+        });
+    });
+
+    it('takes the fraction digits from the target', () => {
+        const counter = parseCounter(createCounter({ 'count-to': '4.75', prefix: 'R$ ' }));
+
+        assert.equal(counter.target, 4.75);
+        assert.equal(counter.decimals, 2);
+        assert.equal(counter.prefix, 'R$ ');
+    });
+
+    it('lets data-decimals and data-duration override the defaults', () => {
+        const counter = parseCounter(createCounter({ 'count-to': '1.5', decimals: '0', duration: '0' }));
+
+        assert.equal(counter.decimals, 0);
+        assert.equal(counter.duration, 0);
+    });
+
+    it('ignores invalid decimals and durations', () => {
+        const counter = parseCounter(createCounter({ 'count-to': '12', decimals: '-1', duration: 'slow' }));
+
+        assert.equal(counter.decimals, 0);
+        assert.equal(counter.duration, 2000);
+    });
+
+    it('tolerates whitespace around the target', () => {
+        assert.equal(parseCounter(createCounter({ 'count-to': ' 300 ' })).target, 300);
+    });
+
+    it('returns null without a numeric target', () => {
+        assert.equal(parseCounter(createCounter({}, 'Milhões')), null);
+        assert.equal(parseCounter(createCounter({ 'count-to': '' })), null);
+        assert.equal(parseCounter(createCounter({ 'count-to': 'Milhões' })), null);
+        assert.equal(parseCounter(createCounter({ 'count-to': '15k' })), null);
+    });
+});
+
+describe('animateNumber', () => {
+    let frames;
+
+    before(() => {
+        setupDom();
+        // Pin the governor to the full tier whatever machine runs the tests
+        Object.defineProperty(navigator, 'hardwareConcurrency', { value: 8, configurable: true });
+        assert.equal(getPerformanceTier(), 'full');
+    });
+
+    beforeEach(() => {
+        document.body.innerHTML = '';
+        // A hidden page keeps the governor from queueing its own sampling frames
+        Object.defineProperty(document, 'hidden', { value: true, configurable: true });
+        frames = useManualFrames();
+    });
+
+    it('leaves elements without a numeric target untouched', () => {
+        const element = createCounter({}, 'Milhões');
+
+        animateNumber(element);
+
+        assert.equal(element.innerHTML, 'Milhões');
+        assert.equal(frames.pending(), 0);
+    });
+
+    it('counts up from zero to the target over the duration', () => {
+        const element = createCounter({ 'count-to': '15000', suffix: '+' }, '15.000+');
+
+        animateNumber(element);
+        assert.equal(readCounter(element).visual, '0+');
+
+        frames.run(1000);
+        assert.equal(readCounter(element).visual, '0+');
+
+        // Halfway through, ease-out cubic is at 87.5%
+        frames.run(2000);
+        assert.equal(readCounter(element).visual, '13.125+');
+
+        frames.run(3000);
+        assert.equal(readCounter(element).visual, '15.000+');
+        assert.equal(frames.pending(), 0);
+    });
+
+    it('gives screen readers the final value from the start', () => {
+        const element = createCounter({ 'count-to': '15000', suffix: '+' });
+
+        animateNumber(element);
+
+        assert.deepEqual(readCounter(element), { visual: '0+', label: '15.000+' });
+        assert.equal(element.querySelector('.stat-count').getAttribute('aria-hidden'), 'true');
+    });
+
+    it('formats prefix, suffix and decimals in the active locale', () => {
+        const element = createCounter({ 'count-to': '4.5', prefix: 'R$ ', suffix: ' mi', duration: '0' });
+
+        animateNumber(element);
+
+        assert.equal(readCounter(element).visual, 'R$ 4,5 mi');
+    });
+
+    it('renders the final value at once when the duration is zero', () => {
+        const element = createCounter({ 'count-to': '120', duration: '0' });
+
+        animateNumber(element);
+
+        assert.equal(readCounter(element).visual, '120');
+        assert.equal(frames.pending(), 0);
+    });
+
+    it('restarts instead of running twice when triggered again', () => {
+        const element = createCounter({ 'count-to': '100', duration: '1000' });
+
+        animateNumber(element);
+        frames.run(0);
+        frames.run(500);
+        animateNumber(element);
+
+        assert.equal(frames.pending(), 1);
+        assert.equal(readCounter(element).visual, '0');
+    });
+
+    it('skips the animation under reduced motion', (t) => {
+        t.mock.method(window, 'matchMedia', query => ({ media: query, matches: true }));
+        const element = createCounter({ 'count-to': '15000', suffix: '+' });
+
+        animateNumber(element);
+
+        assert.equal(readCounter(element).visual, '15.000+');
+        assert.equal(frames.pending(), 0);
+    });
+
+    it('skips the animation on the minimal performance tier', () => {
+        Object.defineProperty(navigator, 'connection', { value: { saveData: true }, configurable: true });
+        refreshPerformanceTier();
+        assert.equal(getPerformanceTier(), 'minimal');
+        const element = createCounter({ 'count-to': '15000', suffix: '+' });
+
+        animateNumber(element);
+
+        assert.equal(readCounter(element).visual, '15.000+');
+        assert.equal(frames.pending(), 0);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import { saveToStorage, getFromStorage } from '../js/core/storage.js';
+import { setConsent, rejectOptionalConsent } from '../js/core/consent.js';
+
+describe('saveToStorage', () => {
+    beforeEach(() => {
+        setupDom();
+        rejectOptionalConsent();
+    });
+
+    it('skips preference keys until preferences are granted', () => {
+        assert.equal(saveToStorage('theme', 'dark'), false);
+        assert.equal(localStorage.getItem('theme'), null);
+
+        setConsent({ preferences: true });
+
+        assert.equal(saveToStorage('theme', 'dark'), true);
+        assert.equal(localStorage.getItem('theme'), '"dark"');
+    });
+
+    it('treats unlisted keys as preferences', () => {
+        assert.equal(saveToStorage('somethingNew', 1), false);
+        assert.equal(localStorage.getItem('somethingNew'), null);
+    });
+
+    it('always saves the consent decision itself', () => {
+        assert.equal(saveToStorage('consent', { version: 1 }), true);
+        assert.deepEqual(JSON.parse(localStorage.getItem('consent')), { version: 1 });
+    });
+
+    it('returns false and warns when the quota is exceeded', (t) => {
+        setConsent({ preferences: true });
+        const warn = t.mock.method(console, 'warn', () => {});
+        t.mock.method(Storage.prototype, 'setItem', () => {
+            throw new DOMException('Quota exceeded', 'QuotaExceededError');
+        });
+
+        assert.equal(saveToStorage('leadDraft', { name: 'Ana' }), false);
+        assert.equal(warn.mock.callCount(), 1);
+        assert.equal(warn.mock.calls[0].arguments[1].name, 'QuotaExceededError');
+    });
+
+    it('returns false when localStorage is blocked', (t) => {
+        setConsent({ preferences: true });
+        t.mock.method(console, 'warn', () => {});
+        Object.defineProperty(globalThis, 'localStorage', {
+            configurable: true,
+            get() {
+                throw new DOMException('Access denied', 'SecurityError');
+            }
+        });
+
+        assert.equal(saveToStorage('theme', 'dark'), false);
+    });
+
+    it('returns false for values that cannot be serialized', (t) => {
+        setConsent({ preferences: true });
+        t.mock.method(console, 'warn', () => {});
+        const value = {};
+        value.self = value;
+
+        assert.equal(saveToStorage('leadDraft', value), false);
+        assert.equal(localStorage.getItem('leadDraft'), null);
+    });
+});
+
+describe('getFromStorage', () => {
+    beforeEach(() => setupDom());
+
+    it('parses stored JSON', () => {
+        localStorage.setItem('videoProgress', JSON.stringify({ time: 42 }));
+
+        assert.deepEqual(getFromStorage('videoProgress'), { time: 42 });
+    });
+
+    it('returns null for missing keys', () => {
+        assert.equal(getFromStorage('missing'), null);
+    });
+
+    it('returns null and warns for invalid JSON', (t) => {
+        const warn = t.mock.method(console, 'warn', () => {});
+        localStorage.setItem('theme', 'dark');
+
+        assert.equal(getFromStorage('theme'), null);
+        assert.equal(warn.mock.callCount(), 1);
+    });
+});
@@ -0,0 +1,206 @@
+import { describe, it, beforeEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom, pressKey } from './helpers/dom.mjs';
+import { Tabs } from '../js/components/tabs.js';
+
+const TABS_MARKUP = `
+    <section data-tabs>
+        <div data-tabs-list>
+            <button data-tab="outback">Outback</button>
+            <button data-tab="aussie">Aussie</button>
+            <button data-tab="abbraccio">Abbraccio</button>
+        </div>
+        <div data-tab-panel="outback">Outback panel</div>
+        <div data-tab-panel="aussie">Aussie panel</div>
+        <div data-tab-panel="abbraccio">Abbraccio panel</div>
+    </section>
+`;
+
+/**
+ * @param {Object} [options] - Passed to the Tabs constructor
+ * @returns {{tabs: Tabs, root: HTMLElement, tab: function(string): HTMLElement, panel: function(string): HTMLElement}}
+ */
+function createTabs(options) {
+    const root = document.querySelector('[data-tabs]');
+    return {
+        tabs: new Tabs(root, options),
+        root,
+        tab: id => root.querySelector(`[data-tab="${id}"]`),
+        panel: id => root.querySelector(`[data-tab-panel="${id}"]`)
+    };
+}
+
+describe('Tabs#select', () => {
+    beforeEach(() => setupDom(TABS_MARKUP));
+
+    it('starts on the first tab and wires up ARIA', () => {
+        const { tabs, root, tab, panel } = createTabs();
+
+        assert.equal(tabs.selected, 'outback');
+        assert.equal(root.querySelector('[data-tabs-list]').getAttribute('role'), 'tablist');
+        assert.equal(tab('aussie').getAttribute('role'), 'tab');
+        assert.equal(tab('aussie').getAttribute('aria-controls'), 'aussie');
+        assert.equal(panel('aussie').getAttribute('aria-labelledby'), 'aussie-tab');
+        assert.equal(panel('outback').hidden, false);
+        assert.equal(panel('aussie').hidden, true);
+    });
+
+    it('starts on the tab marked active in the markup', () => {
+        document.querySelector('[data-tab="abbraccio"]').classList.add('active');
+        const { tabs } = createTabs();
+
+        assert.equal(tabs.selected, 'abbraccio');
+    });
+
+    it('shows the selected panel and updates the tabs', () => {
+        const { tabs, tab, panel } = createTabs();
+
+        assert.equal(tabs.select('aussie'), true);
+
+        assert.equal(tab('aussie').classList.contains('active'), true);
+        assert.equal(tab('aussie').getAttribute('aria-selected'), 'true');
+        assert.equal(tab('aussie').getAttribute('tabindex'), '0');
+        assert.equal(tab('outback').classList.contains('active'), false);
+        assert.equal(tab('outback').getAttribute('aria-selected'), 'false');
+        assert.equal(tab('outback').getAttribute('tabindex'), '-1');
+        assert.equal(panel('aussie').classList.contains('active'), true);
+        assert.equal(panel('aussie').hidden, false);
+        assert.equal(panel('outback').hidden, true);
+    });
+
+    it('fires tabchange with the new and previous id', () => {
+        const { tabs, root } = createTabs();
+        const events = [];
+        root.addEventListener('tabchange', e => events.push(e.detail));
+
+        tabs.select('abbraccio');
+
+        assert.equal(events.length, 1);
+        assert.equal(events[0].id, 'abbraccio');
+        assert.equal(events[0].previousId, 'outback');
+        assert.equal(events[0].panel.dataset.tabPanel, 'abbraccio');
+    });
+
+    it('stays quiet for silent and repeated selections', () => {
+        const { tabs, root } = createTabs();
+        let count = 0;
+        root.addEventListener('tabchange', () => count++);
+
+        tabs.select('aussie', { silent: true });
+        tabs.select('aussie');
+
+        assert.equal(tabs.selected, 'aussie');
+        assert.equal(count, 0);
+    });
+
+    it('ignores unknown ids', () => {
+        const { tabs, panel } = createTabs();
+
+        assert.equal(tabs.select('missing'), false);
+        assert.equal(tabs.selected, 'outback');
+        assert.equal(panel('outback').hidden, false);
+    });
+
+    it('selects a tab when it is clicked', () => {
+        const { tabs, tab } = createTabs();
+
+        tab('abbraccio').click();
+
+        assert.equal(tabs.selected, 'abbraccio');
+    });
+});
+
+describe('Tabs keyboard navigation', () => {
+    beforeEach(() => setupDom(TABS_MARKUP));
+
+    it('moves with the arrow keys and wraps around', () => {
+        const { tabs, tab } = createTabs();
+        tab('outback').focus();
+
+        pressKey('ArrowRight');
+        assert.equal(document.activeElement, tab('aussie'));
+        assert.equal(tabs.selected, 'aussie');
+
+        pressKey('ArrowLeft');
+        pressKey('ArrowLeft');
+        assert.equal(document.activeElement, tab('abbraccio'));
+        assert.equal(tabs.selected, 'abbraccio');
+
+        pressKey('ArrowRight');
+        assert.equal(document.activeElement, tab('outback'));
+    });
+
+    it('jumps to the ends with Home and End', () => {
+        const { tabs, tab } = createTabs();
+        tab('outback').focus();
+
+        const end = pressKey('End');
+        assert.equal(end.defaultPrevented, true);
+        assert.equal(tabs.selected, 'abbraccio');
+
+        pressKey('Home');
+        assert.equal(document.activeElement, tab('outback'));
+        assert.equal(tabs.selected, 'outback');
+    });
+
+    it('keeps a roving tabindex on the focused tab', () => {
+        const { tab } = createTabs({ activation: 'manual' });
+        tab('outback').focus();
+
+        pressKey('ArrowRight');
+
+        assert.equal(tab('aussie').getAttribute('tabindex'), '0');
+        assert.equal(tab('outback').getAttribute('tabindex'), '-1');
+    });
+
+    it('only moves focus in manual mode until the tab is activated', () => {
+        const { tabs, tab } = createTabs({ activation: 'manual' });
+        tab('outback').focus();
+
+        pressKey('ArrowRight');
+        assert.equal(document.activeElement, tab('aussie'));
+        assert.equal(tabs.selected, 'outback');
+
+        // Buttons turn Enter into a click
+        tab('aussie').click();
+        assert.equal(tabs.selected, 'aussie');
+    });
+
+    it('activates non-button tabs with Enter and Space', () => {
+        document.querySelectorAll('[data-tab]').forEach(button => {
+            const div = document.createElement('div');
+            div.dataset.tab = button.dataset.tab;
+            div.textContent = button.textContent;
+            button.replaceWith(div);
+        });
+        const { tabs, tab } = createTabs({ activation: 'manual' });
+
+        const enter = pressKey('Enter', { target: tab('aussie') });
+        assert.equal(enter.defaultPrevented, true);
+        assert.equal(tabs.selected, 'aussie');
+
+        pressKey(' ', { target: tab('abbraccio') });
+        assert.equal(tabs.selected, 'abbraccio');
+    });
+
+    it('leaves other keys alone', () => {
+        const { tabs, tab } = createTabs();
+        tab('outback').focus();
+
+        const event = pressKey('ArrowDown');
+
+        assert.equal(event.defaultPrevented, false);
+        assert.equal(tabs.selected, 'outback');
+    });
+
+    it('stops listening once destroyed', () => {
+        const { tabs, tab } = createTabs();
+        tab('outback').focus();
+        tabs.destroy();
+
+        pressKey('ArrowRight');
+        tab('abbraccio').click();
+
+        assert.equal(tabs.selected, 'outback');
+    });
+});
@@ -0,0 +1,88 @@
+import { describe, it, beforeEach, afterEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import { debounce, throttle, prefersReducedMotion } from '../js/core/utils.js';
+
+describe('debounce', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+    afterEach(() => mock.timers.reset());
+
+    it('runs once, after the calls stop for the wait time', () => {
+        const fn = mock.fn();
+        const debounced = debounce(fn, 100);
+
+        debounced(1);
+        mock.timers.tick(60);
+        debounced(2);
+        mock.timers.tick(60);
+        debounced(3);
+        mock.timers.tick(99);
+        assert.equal(fn.mock.callCount(), 0);
+
+        mock.timers.tick(1);
+        assert.equal(fn.mock.callCount(), 1);
+        assert.deepEqual(fn.mock.calls[0].arguments, [3]);
+    });
+
+    it('runs again for calls after the wait has passed', () => {
+        const fn = mock.fn();
+        const debounced = debounce(fn, 100);
+
+        debounced('a');
+        mock.timers.tick(100);
+        debounced('b');
+        mock.timers.tick(100);
+
+        assert.deepEqual(fn.mock.calls.map(call => call.arguments[0]), ['a', 'b']);
+    });
+});
+
+describe('throttle', () => {
+    beforeEach(() => mock.timers.enable({ apis: ['setTimeout'] }));
+    afterEach(() => mock.timers.reset());
+
+    it('runs the first call right away and drops calls within the limit', () => {
+        const fn = mock.fn();
+        const throttled = throttle(fn, 100);
+
+        throttled(1);
+        throttled(2);
+        mock.timers.tick(99);
+        throttled(3);
+
+        assert.equal(fn.mock.callCount(), 1);
+        assert.deepEqual(fn.mock.calls[0].arguments, [1]);
+    });
+
+    it('runs again once the limit has passed', () => {
+        const fn = mock.fn();
+        const throttled = throttle(fn, 100);
+
+        throttled(1);
+        mock.timers.tick(100);
+        throttled(2);
+
+        assert.deepEqual(fn.mock.calls.map(call => call.arguments[0]), [1, 2]);
+    });
+
+    it('keeps the caller as `this`', () => {
+        const target = { count: 0 };
+        const increment = throttle(function() {
+            this.count++;
+        }, 100);
+
+        increment.call(target);
+
+        assert.equal(target.count, 1);
+    });
+});
+
+describe('prefersReducedMotion', () => {
+    it('follows the reduced motion media query', () => {
+        setupDom('', { reducedMotion: true });
+        assert.equal(prefersReducedMotion(), true);
+
+        setupDom('', { reducedMotion: false });
+        assert.equal(prefersReducedMotion(), false);
+    });
+});
@@ -0,0 +1,96 @@
+import { describe, it, beforeEach, afterEach } from 'node:test';
+import assert from 'node:assert/strict';
+import { setupDom } from './helpers/dom.mjs';
+import videoPlayer from '../js/features/video.js';
+
+const PLAYER_MARKUP = `
+    <div class="video-frame" data-video-player>
+        <video controls playsinline preload="metadata">
+            <source src="Fotos/video.mp4" type="video/mp4">
+        </video>
+        <div class="video-overlay"><button class="play-button">Reproduzir</button></div>
+    </div>
+    <nav class="video-chapters" data-video-chapters hidden><ol></ol></nav>
+`;
+
+/**
+ * Report a media network state before the player starts
+ * @param {HTMLVideoElement} video
+ * @param {number} state
+ */
+function setNetworkState(video, state) {
+    Object.defineProperty(video, 'networkState', { value: state, configurable: true });
+}
+
+describe('video player', () => {
+    let frame;
+    let video;
+
+    beforeEach(() => {
+        setupDom(PLAYER_MARKUP);
+        frame = document.querySelector('[data-video-player]');
+        video = frame.querySelector('video');
+    });
+
+    afterEach(() => videoPlayer.destroy());
+
+    /**
+     * @returns {boolean}
+     */
+    function isUnavailable() {
+        return frame.classList.contains('is-unavailable');
+    }
+
+    it('takes over from the native controls', () => {
+        videoPlayer.init({ root: document });
+
+        assert.equal(video.controls, false);
+        assert.ok(frame.querySelector('.video-controls'));
+        assert.equal(isUnavailable(), false);
+    });
+
+    it('shows the fallback when the source failed before init', () => {
+        setNetworkState(video, HTMLMediaElement.NETWORK_NO_SOURCE);
+
+        videoPlayer.init({ root: document });
+
+        assert.equal(isUnavailable(), true);
+        assert.equal(frame.querySelector('.video-controls').hidden, true);
+        assert.equal(frame.querySelectorAll('.video-fallback').length, 1);
+    });
+
+    it('shows the fallback once when the source fails after init', () => {
+        videoPlayer.init({ root: document });
+
+        video.querySelector('source').dispatchEvent(new Event('error'));
+        video.dispatchEvent(new Event('error'));
+
+        assert.equal(isUnavailable(), true);
+        assert.equal(frame.querySelectorAll('.video-fallback').length, 1);
+    });
+
+    it('only uses the chapters list under its root', () => {
+        const outside = document.querySelector('[data-video-chapters]');
+        outside.hidden = false;
+        const root = document.createElement('div');
+        frame.replaceWith(root);
+        root.appendChild(frame);
+        setNetworkState(video, HTMLMediaElement.NETWORK_NO_SOURCE);
+
+        videoPlayer.init({ root });
+
+        assert.equal(isUnavailable(), true);
+        assert.equal(outside.hidden, false);
+    });
+
+    it('hands the video back to the native controls when destroyed', () => {
+        setNetworkState(video, HTMLMediaElement.NETWORK_NO_SOURCE);
+        videoPlayer.init({ root: document });
+
+        videoPlayer.destroy();
+
+        assert.equal(video.controls, true);
+        assert.equal(isUnavailable(), false);
+        assert.equal(frame.querySelector('.video-fallback'), null);
+    });
+});
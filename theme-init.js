@@ -0,0 +1,27 @@
+/**
+ * Bold - Apply the color scheme before first paint
+ * Loaded synchronously in <head> so the page never flashes the wrong theme.
+ * js/features/theme.js takes over once the page is ready.
+ */
+(function () {
+    let theme = null;
+    
+    try {
+        theme = JSON.parse(localStorage.getItem('theme'));
+    } catch (e) {
+        // Storage unavailable, fall back to the system preference
+    }
+    
+    if (theme !== 'light' && theme !== 'dark') {
+        theme = window.matchMedia && window.matchMedia('(prefers-color-scheme: dark)').matches
+            ? 'dark'
+            : 'light';
+    }
+    
+    document.documentElement.dataset.theme = theme;
+    
+    const meta = document.querySelector('meta[name="theme-color"]');
+    if (meta && meta.dataset[theme]) {
+        meta.content = meta.dataset[theme];
+    }
+})();
@@ -0,0 +1,97 @@
+/**
+ * ================================================================
+ * App icon build
+ * ================================================================
+ *
+ * Generates the icons listed in manifest.webmanifest from
+ * Fotos/BoldLogo.PNG:
+ *
+ *   npm run build:icons
+ *
+ * - icon-192.png / icon-512.png: the logo on a transparent square
+ * - icon-maskable-512.png: the logo inside the maskable safe zone
+ *   (the centre circle, 80% of the icon) on an opaque background,
+ *   so Android can crop it to any shape without cutting the logo
+ *
+ * Output goes to Fotos/icons/ and is committed, unlike Fotos/optimized/.
+ * ================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE = path.join(ROOT, 'Fotos', 'BoldLogo.PNG');
+const OUTPUT_DIR = path.join(ROOT, 'Fotos', 'icons');
+
+// Matches background_color in manifest.webmanifest
+const MASKABLE_BACKGROUND = '#fafafa';
+
+// Share of the icon width the logo may use; a wide logo this size stays
+// inside the 80% safe-zone circle
+const MASKABLE_LOGO_WIDTH = 0.7;
+
+const TRANSPARENT = { r: 0, g: 0, b: 0, alpha: 0 };
+
+/**
+ * Logo with its empty margins cut away
+ * @returns {Promise<Buffer>}
+ */
+function trimmedLogo() {
+    return sharp(SOURCE).trim().png().toBuffer();
+}
+
+/**
+ * Write the logo centred on a transparent square
+ * @param {Buffer} logo
+ * @param {number} size
+ * @returns {Promise<void>}
+ */
+async function writeIcon(logo, size) {
+    await sharp(logo)
+        .resize(size, size, { fit: 'contain', background: TRANSPARENT })
+        .png({ compressionLevel: 9 })
+        .toFile(path.join(OUTPUT_DIR, `icon-${size}.png`));
+}
+
+/**
+ * Write the logo padded into the safe zone on an opaque square
+ * @param {Buffer} logo
+ * @param {number} size
+ * @returns {Promise<void>}
+ */
+async function writeMaskableIcon(logo, size) {
+    const inner = Math.round(size * MASKABLE_LOGO_WIDTH);
+    const resized = await sharp(logo)
+        .resize(inner, inner, { fit: 'inside' })
+        .toBuffer();
+
+    await sharp({
+        create: { width: size, height: size, channels: 4, background: MASKABLE_BACKGROUND }
+    })
+        .composite([{ input: resized, gravity: 'centre' }])
+        .flatten({ background: MASKABLE_BACKGROUND })
+        .png({ compressionLevel: 9 })
+        .toFile(path.join(OUTPUT_DIR, `icon-maskable-${size}.png`));
+}
+
+/**
+ * Build every icon
+ * @returns {Promise<void>}
+ */
+async function build() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    const logo = await trimmedLogo();
+    await writeIcon(logo, 192);
+    await writeIcon(logo, 512);
+    await writeMaskableIcon(logo, 512);
+
+    console.log(`Icons written to ${path.relative(ROOT, OUTPUT_DIR)}`);
+}
+
+build().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
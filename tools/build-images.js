@@ -0,0 +1,260 @@
+/**
+ * ================================================================
+ * Responsive image build
+ * ================================================================
+ *
+ * Generates resized AVIF/WebP variants and a tiny blurred
+ * placeholder (LQIP) for every image in Fotos/:
+ *
+ *   npm run build:images            (only changed images)
+ *   npm run build:images -- --force (rebuild everything)
+ *
+ * Output goes to Fotos/optimized/, together with manifest.json,
+ * which js/features/images.js reads at runtime to emit <picture>/srcset
+ * for lazy images.
+ *
+ * Eager images (the hero, the nav logo) cannot wait for JavaScript, so
+ * they sit in <picture data-build-picture> blocks in index.html whose
+ * <source> tags are rewritten here from the same manifest. The page is
+ * committed with the generated markup; the build must run before deploy.
+ * Images missing from the manifest are served unchanged.
+ * ================================================================
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sharp = require('sharp');
+
+const ROOT = path.resolve(__dirname, '..');
+const SOURCE_DIR = path.join(ROOT, 'Fotos');
+const OUTPUT_DIR = path.join(SOURCE_DIR, 'optimized');
+const MANIFEST_PATH = path.join(OUTPUT_DIR, 'manifest.json');
+const FORCE = process.argv.includes('--force');
+
+const SOURCE_EXTENSIONS = ['.jpg', '.jpeg', '.png', '.webp'];
+
+// Widths are capped at the original size; the original is never upscaled
+const WIDTHS = [480, 960, 1440, 1920];
+
+const FORMATS = {
+    avif: { quality: 50, effort: 4 },
+    webp: { quality: 72 }
+};
+
+const PLACEHOLDER_WIDTH = 24;
+
+// Same order as IMAGE_FORMATS in js/features/images.js: the browser takes the first it supports
+const SOURCE_TYPES = {
+    avif: 'image/avif',
+    webp: 'image/webp'
+};
+
+// Pages with <picture data-build-picture> blocks to fill in
+const STATIC_PAGES = ['index.html'];
+
+const STATIC_PICTURE_PATTERN = /(<picture\b[^>]*\bdata-build-picture\b[^>]*>)([\s\S]*?)(<\/picture>)/g;
+
+// One image at a time keeps memory use low on small build machines
+sharp.concurrency(1);
+sharp.cache(false);
+
+/**
+ * Path relative to the site root, with forward slashes as used in the markup
+ * @param {string} file
+ * @returns {string}
+ */
+function toSitePath(file) {
+    return path.relative(ROOT, file).split(path.sep).join('/');
+}
+
+/**
+ * Whether a generated file is missing or older than its source
+ * @param {string} output
+ * @param {fs.Stats} sourceStats
+ * @returns {boolean}
+ */
+function isStale(output, sourceStats) {
+    if (FORCE || !fs.existsSync(output)) return true;
+    return fs.statSync(output).mtimeMs < sourceStats.mtimeMs;
+}
+
+/**
+ * Pick the variant widths for an image of the given width
+ * @param {number} originalWidth
+ * @returns {number[]}
+ */
+function getVariantWidths(originalWidth) {
+    const widths = WIDTHS.filter(width => width < originalWidth);
+    const largest = Math.min(originalWidth, WIDTHS[WIDTHS.length - 1]);
+    if (!widths.includes(largest)) {
+        widths.push(largest);
+    }
+    return widths;
+}
+
+/**
+ * Build a tiny, blurred WebP as a data URI
+ * @param {string} file
+ * @returns {Promise<string>}
+ */
+async function createPlaceholder(file) {
+    const buffer = await sharp(file)
+        .rotate()
+        .resize({ width: PLACEHOLDER_WIDTH })
+        .blur(1)
+        .webp({ quality: 40 })
+        .toBuffer();
+    return `data:image/webp;base64,${buffer.toString('base64')}`;
+}
+
+/**
+ * Generate the variants and placeholder for one source image
+ * @param {string} file - Absolute path of the source image
+ * @returns {Promise<Object>} Manifest entry
+ */
+async function processImage(file) {
+    const stats = fs.statSync(file);
+    const metadata = await sharp(file).rotate().metadata();
+
+    // EXIF orientation 5-8 swaps width and height once rotated
+    const rotated = metadata.orientation >= 5;
+    const width = rotated ? metadata.height : metadata.width;
+    const height = rotated ? metadata.width : metadata.height;
+
+    const name = path.parse(file).name;
+    const sources = {};
+
+    for (const [format, options] of Object.entries(FORMATS)) {
+        sources[format] = [];
+
+        for (const variantWidth of getVariantWidths(width)) {
+            const output = path.join(OUTPUT_DIR, `${name}-${variantWidth}.${format}`);
+
+            if (isStale(output, stats)) {
+                await sharp(file)
+                    .rotate()
+                    .resize({ width: variantWidth, withoutEnlargement: true })
+                    [format](options)
+                    .toFile(output);
+            }
+
+            sources[format].push({ src: toSitePath(output), width: variantWidth });
+        }
+    }
+
+    return {
+        width,
+        height,
+        placeholder: await createPlaceholder(file),
+        sources
+    };
+}
+
+/**
+ * Read an attribute from a tag in the markup
+ * @param {string} tag
+ * @param {string} name
+ * @returns {string|null}
+ */
+function readAttribute(tag, name) {
+    const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+    return match ? match[1] : null;
+}
+
+/**
+ * Render the <source> tags for a manifest entry, one per line
+ * @param {Object} entry
+ * @param {string} sizes
+ * @param {string} indent
+ * @returns {string}
+ */
+function renderSources(entry, sizes, indent) {
+    return Object.entries(SOURCE_TYPES)
+        .filter(([format]) => entry.sources[format] && entry.sources[format].length)
+        .map(([format, type]) => {
+            const srcset = entry.sources[format]
+                .map(variant => `${variant.src} ${variant.width}w`)
+                .join(', ');
+            return `${indent}<source type="${type}" srcset="${srcset}" sizes="${sizes}">\n`;
+        })
+        .join('');
+}
+
+/**
+ * Rewrite the <source> tags of every static <picture> from the manifest
+ * Pictures whose image failed to build keep only the original <img>.
+ * @param {Object} manifest
+ */
+function writeStaticPictures(manifest) {
+    for (const page of STATIC_PAGES) {
+        const file = path.join(ROOT, page);
+        const html = fs.readFileSync(file, 'utf8');
+
+        const updated = html.replace(STATIC_PICTURE_PATTERN, (block, open, inner, close) => {
+            const img = inner.match(/\n([ \t]*)(<img\b[^>]*>)/);
+            if (!img) return block;
+
+            const [, indent, tag] = img;
+            const entry = manifest[decodeURIComponent(readAttribute(tag, 'src') || '')];
+            const sources = entry && entry.sources
+                ? renderSources(entry, readAttribute(tag, 'data-sizes') || '100vw', indent)
+                : '';
+            const closingIndent = inner.slice(inner.lastIndexOf('\n'));
+
+            return `${open}\n${sources}${indent}${tag}${closingIndent}${close}`;
+        });
+
+        if (updated !== html) {
+            fs.writeFileSync(file, updated);
+            console.log(`Static <picture> sources updated in ${page}`);
+        }
+    }
+}
+
+/**
+ * Build every image in Fotos/ and write the manifest
+ * @returns {Promise<void>}
+ */
+async function build() {
+    fs.mkdirSync(OUTPUT_DIR, { recursive: true });
+
+    const files = fs.readdirSync(SOURCE_DIR)
+        .filter(name => SOURCE_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+        .sort();
+
+    // Two images sharing a base name (a.jpg and a.png) would overwrite each other's variants
+    const names = files.map(name => path.parse(name).name);
+    const duplicates = names.filter((name, index) => names.indexOf(name) !== index);
+    if (duplicates.length) {
+        throw new Error(`Images share a base name: ${[...new Set(duplicates)].join(', ')}`);
+    }
+
+    const manifest = {};
+    let failed = 0;
+
+    for (const name of files) {
+        const file = path.join(SOURCE_DIR, name);
+
+        try {
+            manifest[toSitePath(file)] = await processImage(file);
+            console.log(`✓ ${name}`);
+        } catch (e) {
+            failed++;
+            console.warn(`✗ ${name}: ${e.message}`);
+        }
+    }
+
+    fs.writeFileSync(MANIFEST_PATH, JSON.stringify(manifest, null, 2) + '\n');
+    console.log(`\n${Object.keys(manifest).length} images written to ${toSitePath(MANIFEST_PATH)}`);
+
+    writeStaticPictures(manifest);
+
+    if (failed) {
+        process.exitCode = 1;
+    }
+}
+
+build().catch(e => {
+    console.error(e);
+    process.exit(1);
+});
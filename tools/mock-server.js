@@ -0,0 +1,246 @@
+/**
+ * ================================================================
+ * Local mock server
+ * ================================================================
+ *
+ * Serves the site and fakes the form endpoints so submissions can
+ * be tested without a backend. No dependencies:
+ *
+ *   node tools/mock-server.js [port]
+ *
+ * Endpoints:
+ * - POST /api/contact  contact form (201 on success, 422 on invalid payload)
+ * - POST /api/leads    franchise/partnership wizard (same responses)
+ * - POST /api/events   analytics beacon batches ({ events: [...] })
+ *
+ * Set MOCK_FAIL=1 to make every endpoint answer 500, and
+ * MOCK_DELAY=<ms> to simulate a slow network (default 600ms).
+ *
+ * Until sourced unit data is added as data/units.json, requests for it
+ * get data/units.sample.json: placeholder addresses, phones and hours
+ * for development only, never deployed.
+ * ================================================================
+ */
+
+const http = require('http');
+const fs = require('fs');
+const path = require('path');
+
+const ROOT = path.resolve(__dirname, '..');
+const PORT = Number(process.argv[2]) || 8080;
+const DELAY = Number(process.env.MOCK_DELAY ?? 600);
+const FAIL = process.env.MOCK_FAIL === '1';
+
+// Top-level directories that are part of the checkout but not of the site
+const PRIVATE_DIRS = ['.git', 'node_modules'];
+
+// Placeholder data served for files that are missing locally
+const DEV_FALLBACKS = {
+    'data/units.json': 'data/units.sample.json'
+};
+
+const MIME_TYPES = {
+    '.html': 'text/html; charset=utf-8',
+    '.css': 'text/css; charset=utf-8',
+    '.js': 'text/javascript; charset=utf-8',
+    '.json': 'application/json; charset=utf-8',
+    '.webmanifest': 'application/manifest+json; charset=utf-8',
+    '.png': 'image/png',
+    '.PNG': 'image/png',
+    '.jpg': 'image/jpeg',
+    '.jpeg': 'image/jpeg',
+    '.webp': 'image/webp',
+    '.avif': 'image/avif',
+    '.svg': 'image/svg+xml',
+    '.mp4': 'video/mp4',
+    '.vtt': 'text/vtt; charset=utf-8'
+};
+
+/**
+ * Validators for each mocked endpoint, returning a list of invalid fields
+ */
+const ENDPOINTS = {
+    '/api/contact': (body) => ['name', 'email', 'subject', 'message']
+        .filter(field => !body[field] || !String(body[field]).trim())
+        .concat(body.consent === true ? [] : ['consent']),
+    '/api/leads': (body) => ['partnerType', 'city', 'uf', 'capital', 'propertyStatus', 'name', 'email', 'phone']
+        .filter(field => !body[field] || !String(body[field]).trim())
+        .concat(Array.isArray(body.brands) && body.brands.length ? [] : ['brands'])
+        .concat(body.consent === true ? [] : ['consent']),
+    '/api/events': (body) => Array.isArray(body.events) ? [] : ['events']
+};
+
+/**
+ * Answer a request the server cannot make sense of
+ * @param {http.ServerResponse} res
+ */
+function sendBadRequest(res) {
+    res.writeHead(400);
+    res.end('Bad request');
+}
+
+/**
+ * Whether a parsed JSON body is an object the validators can read fields from
+ * @param {*} body
+ * @returns {boolean}
+ */
+function isPlainObject(body) {
+    return body !== null && typeof body === 'object' && !Array.isArray(body);
+}
+
+/**
+ * Send a JSON response
+ * @param {http.ServerResponse} res
+ * @param {number} status
+ * @param {Object} body
+ */
+function sendJson(res, status, body) {
+    res.writeHead(status, { 'Content-Type': 'application/json; charset=utf-8' });
+    res.end(JSON.stringify(body));
+}
+
+/**
+ * Read and parse a JSON request body
+ * @param {http.IncomingMessage} req
+ * @returns {Promise<Object>}
+ */
+function readJson(req) {
+    return new Promise((resolve, reject) => {
+        let data = '';
+        req.on('data', chunk => {
+            data += chunk;
+            if (data.length > 1e6) {
+                reject(new Error('Payload too large'));
+                req.destroy();
+            }
+        });
+        req.on('end', () => {
+            try {
+                resolve(data ? JSON.parse(data) : {});
+            } catch (e) {
+                reject(e);
+            }
+        });
+        req.on('error', reject);
+    });
+}
+
+/**
+ * Handle a POST to one of the mocked endpoints
+ */
+async function handleApi(req, res, validate) {
+    let body;
+    try {
+        body = await readJson(req);
+    } catch (e) {
+        sendJson(res, 400, { ok: false, error: 'Invalid JSON' });
+        return;
+    }
+
+    // null, arrays, strings and numbers are valid JSON but not a payload
+    if (!isPlainObject(body)) {
+        sendJson(res, 400, { ok: false, error: 'Expected a JSON object' });
+        return;
+    }
+
+    console.log(`[mock] ${req.method} ${req.url}`, body);
+
+    setTimeout(() => {
+        if (FAIL) {
+            sendJson(res, 500, { ok: false, error: 'Simulated failure' });
+            return;
+        }
+
+        const invalid = validate(body);
+        if (invalid.length) {
+            sendJson(res, 422, { ok: false, invalid });
+            return;
+        }
+
+        sendJson(res, 201, { ok: true, id: Date.now().toString(36) });
+    }, DELAY);
+}
+
+/**
+ * Serve a static file from the repository root
+ */
+function serveStatic(req, res) {
+    let urlPath;
+    try {
+        urlPath = decodeURIComponent(new URL(req.url, 'http://localhost').pathname);
+    } catch (e) {
+        sendBadRequest(res);
+        return;
+    }
+
+    let filePath = path.join(ROOT, urlPath === '/' ? 'index.html' : urlPath);
+
+    const fallback = DEV_FALLBACKS[urlPath.replace(/^\//, '')];
+    if (fallback && !fs.existsSync(filePath)) {
+        filePath = path.join(ROOT, fallback);
+    }
+
+    // Never serve anything outside the project, nor its repository or dependencies
+    const topLevel = path.relative(ROOT, filePath).split(path.sep)[0];
+    if (!filePath.startsWith(ROOT + path.sep) || PRIVATE_DIRS.includes(topLevel)) {
+        res.writeHead(403);
+        res.end();
+        return;
+    }
+
+    fs.readFile(filePath, (err, data) => {
+        if (err) {
+            res.writeHead(404);
+            res.end('Not found');
+            return;
+        }
+        res.writeHead(200, { 'Content-Type': MIME_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+        res.end(data);
+    });
+}
+
+/**
+ * Route a request to a mocked endpoint or to the static files
+ * @param {http.IncomingMessage} req
+ * @param {http.ServerResponse} res
+ */
+function handleRequest(req, res) {
+    let pathname;
+    try {
+        ({ pathname } = new URL(req.url, 'http://localhost'));
+    } catch (e) {
+        // e.g. an absolute-form target such as http://[bad/
+        sendBadRequest(res);
+        return;
+    }
+
+    const validate = ENDPOINTS[pathname];
+
+    if (validate) {
+        if (req.method !== 'POST') {
+            res.writeHead(405, { 'Allow': 'POST' });
+            res.end();
+            return;
+        }
+        handleApi(req, res, validate);
+        return;
+    }
+
+    serveStatic(req, res);
+}
+
+/**
+ * Create the mock server without starting it (used by the tests)
+ * @returns {http.Server}
+ */
+function createMockServer() {
+    return http.createServer(handleRequest);
+}
+
+if (require.main === module) {
+    createMockServer().listen(PORT, () => {
+        console.log(`Mock server running at http://localhost:${PORT}`);
+    });
+}
+
+module.exports = { createMockServer };